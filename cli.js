@@ -0,0 +1,30 @@
+/**
+ * Reads the app's own options from command line arguments:
+ * `--service=<id>` opens a service, `--url=<url>` opens a page in the
+ * service it belongs to and `--hidden` starts without showing the window.
+ * Values may also follow as the next argument (`--service chat`). Other
+ * arguments (Chromium switches, a mailto: URL...) are ignored.
+ * @param {string[]} argv
+ * @returns {{service?: string, url?: string, hidden: boolean}}
+ */
+export function parseCommandLine(argv) {
+  const options = { hidden: false };
+
+  argv.forEach((arg, index) => {
+    const match = arg.match(/^--(service|url|hidden)(?:=(.*))?$/s);
+    if (!match) return;
+
+    const [, name, inlineValue] = match;
+    if (name === "hidden") {
+      options.hidden = true;
+      return;
+    }
+
+    const next = argv[index + 1];
+    const value =
+      inlineValue ?? (next && !next.startsWith("--") ? next : undefined);
+    if (value?.trim()) options[name] = value.trim();
+  });
+
+  return options;
+}
@@ -0,0 +1,127 @@
+import { notifyPreferencesChanged } from "./preferences.js";
+
+/**
+ * Builds the entries of the command palette from the current app state.
+ * Each entry has a serializable part sent to command-palette.html and an
+ * action kept in the main process, so the renderer can only pick an id.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @returns {{items: object[], actions: Map<string, Function>}}
+ */
+export function buildPaletteEntries(mainWindow) {
+  const items = [];
+  const actions = new Map();
+
+  const add = (item, action) => {
+    items.push(item);
+    actions.set(item.id, action);
+  };
+
+  const withActiveView = (callback) => () => {
+    const activeView = mainWindow.views.get(mainWindow.activeViewId);
+    if (activeView) callback(activeView.webContents);
+  };
+
+  // 1. Enabled services, in sidebar order
+  const services = mainWindow
+    ._getOrderedServices()
+    .filter((c) => mainWindow.enabledServices[c.id]);
+  services.forEach((config) => {
+    add(
+      {
+        id: `service:${config.id}`,
+        type: "service",
+        title: config.title,
+        subtitle: "Switch to service",
+        icon: config.icon,
+      },
+      () => mainWindow._switchToTab(config.id),
+    );
+  });
+
+  // 2. Recently visited pages of every loaded view, newest first
+  mainWindow.recentPages.forEach((pages, viewId) => {
+    const config = mainWindow.viewConfig[viewId];
+    if (!config) return;
+
+    pages.forEach((page, index) => {
+      add(
+        {
+          id: `page:${viewId}:${index}`,
+          type: "page",
+          title: page.title || page.url,
+          subtitle: `${config.title} · ${page.url}`,
+          icon: config.icon,
+        },
+        () => mainWindow._openUrlInView(viewId, page.url),
+      );
+    });
+  });
+
+  // 3. App commands
+  const commands = [
+    {
+      name: "reload",
+      title: "Reload",
+      action: withActiveView((wc) => wc.reload()),
+    },
+    {
+      name: "force-reload",
+      title: "Force Reload",
+      action: withActiveView((wc) => wc.reloadIgnoringCache()),
+    },
+    {
+      name: "devtools",
+      title: "Toggle Developer Tools",
+      action: withActiveView((wc) => wc.toggleDevTools()),
+    },
+    {
+      name: "reset-zoom",
+      title: "Reset Zoom",
+      action: () => {
+        mainWindow._resetZoom(mainWindow.activeViewId);
+        notifyPreferencesChanged(mainWindow);
+      },
+    },
+    {
+      name: "notifications",
+      title: "Show Notification History",
+      action: () => mainWindow._openPanel("notifications"),
+    },
+    {
+      name: "downloads",
+      title: "Show Downloads",
+      action: () => mainWindow._openPanel("downloads"),
+    },
+    {
+      name: "task-manager",
+      title: "Open Task Manager",
+      action: () => mainWindow._openTaskManager(),
+    },
+    {
+      name: "preferences",
+      title: "Open Preferences",
+      action: () => mainWindow._openPreferences(),
+    },
+  ];
+  commands.forEach(({ name, title, action }) => {
+    add(
+      { id: `command:${name}`, type: "command", title, subtitle: "Command" },
+      action,
+    );
+  });
+
+  mainWindow._getOrderedServices().forEach((config) => {
+    const enabled = Boolean(mainWindow.enabledServices[config.id]);
+    add(
+      {
+        id: `toggle:${config.id}`,
+        type: "command",
+        title: `${enabled ? "Disable" : "Enable"} ${config.title}`,
+        subtitle: "Toggle service",
+      },
+      () => mainWindow._setServiceEnabled(config.id, !enabled),
+    );
+  });
+
+  return { items, actions };
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Command line client for the app's control socket (enable it in
+ * Preferences > Scripting). Needs Node.js; it does not depend on the app.
+ *
+ *   control-client.mjs unread            Print unread counts as JSON
+ *   control-client.mjs watch             Print them again on every change
+ *   control-client.mjs open <service>    Show the window on a service
+ *   control-client.mjs reload <service>  Reload a service
+ *   control-client.mjs dnd [on|off]      Toggle or set Do Not Disturb
+ *   control-client.mjs call <method> [params-json]
+ *
+ * Services are ids such as "gmail", "calendar", "chat" or "protonmail".
+ */
+import net from "net";
+import os from "os";
+import path from "path";
+
+// Kept in sync with getControlSocketPath() in control-socket.js
+function getControlSocketPath() {
+  if (process.env.GSUITE_CLIENT_SOCKET) return process.env.GSUITE_CLIENT_SOCKET;
+  if (process.platform === "win32") {
+    return `\\\\.\\pipe\\gsuite-client-${os.userInfo().username}`;
+  }
+  const directory = process.env.XDG_RUNTIME_DIR || os.tmpdir();
+  return path.join(
+    directory,
+    `gsuite-client-${process.getuid()}`,
+    "control.sock",
+  );
+}
+
+const COMMANDS = {
+  unread: () => ({ method: "getUnreadCounts" }),
+  watch: () => ({ method: "subscribe", keepOpen: true }),
+  open: (service) => ({ method: "switchTab", params: { service } }),
+  reload: (service) => ({ method: "reloadService", params: { service } }),
+  dnd: (value) => {
+    if (value && value !== "on" && value !== "off") fail("Use: dnd [on|off]");
+    return {
+      method: "toggleDoNotDisturb",
+      params: value ? { enabled: value === "on" } : {},
+    };
+  },
+  call: (method, params) => ({
+    method,
+    params: params ? JSON.parse(params) : undefined,
+  }),
+};
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const [command, ...args] = process.argv.slice(2);
+if (!Object.hasOwn(COMMANDS, command)) {
+  fail(`Usage: control-client.mjs <${Object.keys(COMMANDS).join("|")}> ...`);
+}
+const { method, params, keepOpen } = COMMANDS[command](...args);
+
+const socket = net.createConnection(getControlSocketPath(), () => {
+  socket.write(
+    `${JSON.stringify({ jsonrpc: "2.0", id: 1, method, params })}\n`,
+  );
+});
+
+let buffer = "";
+socket.setEncoding("utf8");
+socket.on("data", (chunk) => {
+  buffer += chunk;
+  let newline;
+  while ((newline = buffer.indexOf("\n")) !== -1) {
+    const message = JSON.parse(buffer.slice(0, newline));
+    buffer = buffer.slice(newline + 1);
+
+    if (message.error) fail(message.error.message);
+    console.log(JSON.stringify(message.result ?? message.params));
+    if (!keepOpen) socket.end();
+  }
+});
+socket.on("error", (error) =>
+  fail(
+    `Cannot reach the app (is the control socket enabled?): ${error.message}`,
+  ),
+);
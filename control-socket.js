@@ -0,0 +1,239 @@
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+
+// JSON-RPC 2.0 error codes
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+// Requests are one JSON object per line; longer lines close the connection
+const MAX_LINE_LENGTH = 64 * 1024;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Returns where the control socket listens: a named pipe on Windows, else a
+ * socket in a directory of its own, see createPrivateDirectory(). Kept in
+ * sync with control-client.mjs, which cannot import this module.
+ * @returns {string}
+ */
+export function getControlSocketPath() {
+  if (process.platform === "win32") {
+    return `\\\\.\\pipe\\gsuite-client-${os.userInfo().username}`;
+  }
+  const directory = process.env.XDG_RUNTIME_DIR || os.tmpdir();
+  return path.join(
+    directory,
+    `gsuite-client-${process.getuid()}`,
+    "control.sock",
+  );
+}
+
+/**
+ * Creates the directory holding the socket, accessible by the current user
+ * only. The socket itself is created with the umask's permissions and only
+ * restricted afterwards, so this directory is what keeps other users out,
+ * e.g. in a shared temporary directory. A directory someone else made first
+ * is refused.
+ * @param {string} directory
+ */
+function createPrivateDirectory(directory) {
+  fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+  const stats = fs.lstatSync(directory);
+  if (!stats.isDirectory() || stats.uid !== process.getuid()) {
+    throw new Error(`${directory} does not belong to the current user`);
+  }
+  fs.chmodSync(directory, 0o700);
+}
+
+/**
+ * The methods callable over the socket, keyed by JSON-RPC method name.
+ * Services are given by id, either a view id or a plain service id such as
+ * "chat" for the active account.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+function createControlMethods(mainWindow) {
+  const requireService = (params) => {
+    const viewId = mainWindow._resolveServiceId(params?.service);
+    if (!mainWindow._getSafeView(viewId)) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        `Unknown or disabled service: ${params?.service}`,
+      );
+    }
+    return viewId;
+  };
+
+  return {
+    getUnreadCounts: () => mainWindow._getUnreadCountsModel(),
+    switchTab: (params) => {
+      const viewId = requireService(params);
+      mainWindow._showWindow();
+      mainWindow._switchToTab(viewId);
+      return { service: viewId };
+    },
+    reloadService: (params) => {
+      const viewId = requireService(params);
+      mainWindow._reloadView(viewId);
+      return { service: viewId };
+    },
+    // Sets Do Not Disturb when `enabled` is given, otherwise toggles it
+    toggleDoNotDisturb: (params) => {
+      const enabled =
+        typeof params?.enabled === "boolean"
+          ? params.enabled
+          : !mainWindow.doNotDisturb.getSettings().enabled;
+      mainWindow._setDoNotDisturb(enabled);
+      return { enabled, active: mainWindow.doNotDisturb.isActive() };
+    },
+  };
+}
+
+/**
+ * A local JSON-RPC 2.0 server for scripts and status bars, over a Unix
+ * domain socket only the current user can open. On Windows it is a named
+ * pipe with the default access control, which lets only the current user,
+ * administrators and the system write to it, so others cannot send
+ * requests.
+ * Besides the methods above, connections can `subscribe` to receive an
+ * `unreadCountsChanged` notification whenever a badge changes.
+ */
+export class ControlServer {
+  /**
+   * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+   */
+  constructor(mainWindow) {
+    this.mainWindow = mainWindow;
+    this.methods = createControlMethods(mainWindow);
+    this.server = null;
+    this.subscribers = new Set();
+  }
+
+  start() {
+    if (this.server) return;
+
+    const socketPath = getControlSocketPath();
+    if (process.platform !== "win32") {
+      try {
+        createPrivateDirectory(path.dirname(socketPath));
+        // The single-instance lock guarantees any existing socket is stale
+        fs.rmSync(socketPath, { force: true });
+      } catch (error) {
+        console.error("[Control] Cannot create the socket:", error.message);
+        return;
+      }
+    }
+
+    this.server = net.createServer((socket) => this._accept(socket));
+    this.server.on("error", (error) => {
+      console.error("[Control] Socket error:", error.message);
+      this.stop();
+    });
+    this.server.listen(socketPath, () => {
+      if (process.platform !== "win32") fs.chmodSync(socketPath, 0o600);
+    });
+  }
+
+  stop() {
+    if (!this.server) return;
+
+    this.subscribers.forEach((socket) => socket.destroy());
+    this.subscribers.clear();
+    this.server.close();
+    this.server = null;
+    if (process.platform !== "win32") {
+      fs.rmSync(getControlSocketPath(), { force: true });
+    }
+  }
+
+  /**
+   * Sends a notification to every subscribed connection.
+   * @param {string} method
+   * @param {object} params
+   */
+  broadcast(method, params) {
+    const message = `${JSON.stringify({ jsonrpc: "2.0", method, params })}\n`;
+    this.subscribers.forEach((socket) => socket.write(message));
+  }
+
+  _accept(socket) {
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) this._handleLine(socket, line);
+      }
+      if (buffer.length > MAX_LINE_LENGTH) socket.destroy();
+    });
+    socket.on("close", () => this.subscribers.delete(socket));
+    socket.on("error", () => socket.destroy());
+  }
+
+  _handleLine(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch {
+      this._reply(socket, null, {
+        error: { code: RPC_ERRORS.PARSE_ERROR, message: "Parse error" },
+      });
+      return;
+    }
+
+    const id = request?.id ?? null;
+    try {
+      const result = this._call(socket, request);
+      // Requests without an id are notifications and get no response
+      if (request.id !== undefined) this._reply(socket, id, { result });
+    } catch (error) {
+      const code =
+        error instanceof RpcError ? error.code : RPC_ERRORS.INTERNAL_ERROR;
+      if (!(error instanceof RpcError)) {
+        console.error("[Control] Request failed:", error);
+      }
+      this._reply(socket, id, { error: { code, message: error.message } });
+    }
+  }
+
+  _call(socket, request) {
+    if (request?.jsonrpc !== "2.0" || typeof request.method !== "string") {
+      throw new RpcError(RPC_ERRORS.INVALID_REQUEST, "Invalid request");
+    }
+
+    if (request.method === "subscribe") {
+      this.subscribers.add(socket);
+      return this.methods.getUnreadCounts();
+    }
+    if (request.method === "unsubscribe") {
+      this.subscribers.delete(socket);
+      return true;
+    }
+    if (!Object.hasOwn(this.methods, request.method)) {
+      throw new RpcError(
+        RPC_ERRORS.METHOD_NOT_FOUND,
+        `Method not found: ${request.method}`,
+      );
+    }
+    return this.methods[request.method](request.params);
+  }
+
+  _reply(socket, id, payload) {
+    if (socket.destroyed) return;
+    socket.write(`${JSON.stringify({ jsonrpc: "2.0", id, ...payload })}\n`);
+  }
+}
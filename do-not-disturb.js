@@ -0,0 +1,201 @@
+const STORE_KEY = "doNotDisturb";
+// Kept apart from the settings, which are replaced whole on every update
+const SUPPRESSED_STORE_KEY = "doNotDisturbSuppressed";
+
+export const NOTIFICATION_MODES = {
+  DEFAULT: "default", // Follows Do Not Disturb and quiet hours
+  ALWAYS: "always", // Ignores quiet hours (manual Do Not Disturb still wins)
+  WORKING_HOURS: "working-hours", // Only during working hours
+  SILENT: "silent", // Shown without sound
+  NEVER: "never", // Never shown
+};
+
+const VALID_MODES = new Set(Object.values(NOTIFICATION_MODES));
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  summarize: true,
+  quietHours: {
+    enabled: false,
+    days: [0, 1, 2, 3, 4, 5, 6],
+    start: "22:00",
+    end: "07:00",
+  },
+  workingHours: { days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" },
+  serviceModes: {},
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Checks whether a date falls inside a weekly schedule. Schedules whose end
+ * is before their start span midnight, and belong to the day they start on.
+ * @param {{days: number[], start: string, end: string}} schedule
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isWithinSchedule({ days, start, end }, now) {
+  const day = now.getDay();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  if (startMinutes <= endMinutes) {
+    return (
+      days.includes(day) && minutes >= startMinutes && minutes < endMinutes
+    );
+  }
+
+  const previousDay = (day + 6) % 7;
+  return (
+    (days.includes(day) && minutes >= startMinutes) ||
+    (days.includes(previousDay) && minutes < endMinutes)
+  );
+}
+
+function sanitizeSchedule(schedule, fallback) {
+  const days = Array.isArray(schedule?.days)
+    ? [...new Set(schedule.days.map(Number))].filter((d) => d >= 0 && d <= 6)
+    : fallback.days;
+  return {
+    days,
+    start: TIME_PATTERN.test(schedule?.start) ? schedule.start : fallback.start,
+    end: TIME_PATTERN.test(schedule?.end) ? schedule.end : fallback.end,
+  };
+}
+
+/**
+ * Decides whether notifications are shown, based on the manual Do Not
+ * Disturb toggle, the weekly quiet hours and each service's mode. Keeps
+ * track of what it suppressed, in the store so that it survives a restart,
+ * so it can be summarised afterwards.
+ */
+export class DoNotDisturb {
+  /**
+   * @param {import("electron-store").default} store - The app's electron-store instance.
+   */
+  constructor(store) {
+    this.store = store;
+    this.settings = this._sanitize(store.get(STORE_KEY, DEFAULT_SETTINGS));
+    const suppressed = store.get(SUPPRESSED_STORE_KEY, []);
+    this.suppressed = Array.isArray(suppressed)
+      ? suppressed.filter((id) => typeof id === "string")
+      : [];
+  }
+
+  getSettings() {
+    return structuredClone(this.settings);
+  }
+
+  /**
+   * Replaces the settings with a sanitized copy of the given ones.
+   * @param {object} settings - A partial or complete settings object.
+   */
+  update(settings) {
+    this.settings = this._sanitize({ ...this.settings, ...settings });
+    this.store.set(STORE_KEY, this.settings);
+  }
+
+  setEnabled(enabled) {
+    this.update({ enabled: Boolean(enabled) });
+  }
+
+  getServiceMode(serviceId) {
+    return this.settings.serviceModes[serviceId] ?? NOTIFICATION_MODES.DEFAULT;
+  }
+
+  setServiceMode(serviceId, mode) {
+    if (!VALID_MODES.has(mode)) return;
+    const serviceModes = { ...this.settings.serviceModes, [serviceId]: mode };
+    if (mode === NOTIFICATION_MODES.DEFAULT) delete serviceModes[serviceId];
+    this.update({ serviceModes });
+  }
+
+  isInQuietHours(now = new Date()) {
+    const { quietHours } = this.settings;
+    return quietHours.enabled && isWithinSchedule(quietHours, now);
+  }
+
+  /**
+   * @param {Date} [now]
+   * @returns {boolean} True when notifications are generally muted.
+   */
+  isActive(now = new Date()) {
+    return this.settings.enabled || this.isInQuietHours(now);
+  }
+
+  /**
+   * Decides how a notification from a service is presented. `deferred` marks
+   * notifications held back by Do Not Disturb or quiet hours, as opposed to
+   * ones muted by the service's own mode.
+   * @param {string} serviceId - The view id of the originating service.
+   * @param {Date} [now]
+   * @returns {{show: boolean, silent: boolean, deferred: boolean}}
+   */
+  evaluate(serviceId, now = new Date()) {
+    const mode = this.getServiceMode(serviceId);
+    const muted = { show: false, silent: true, deferred: false };
+
+    if (mode === NOTIFICATION_MODES.NEVER) return muted;
+    if (this.settings.enabled) return { ...muted, deferred: true };
+    if (
+      mode === NOTIFICATION_MODES.WORKING_HOURS &&
+      !isWithinSchedule(this.settings.workingHours, now)
+    ) {
+      return muted;
+    }
+    if (mode !== NOTIFICATION_MODES.ALWAYS && this.isInQuietHours(now)) {
+      return { ...muted, deferred: true };
+    }
+    return {
+      show: true,
+      silent: mode === NOTIFICATION_MODES.SILENT,
+      deferred: false,
+    };
+  }
+
+  recordSuppressed(serviceId) {
+    this.suppressed.push(serviceId);
+    this.store.set(SUPPRESSED_STORE_KEY, this.suppressed);
+  }
+
+  /**
+   * Returns and resets the per-service count of suppressed notifications.
+   * @returns {Map<string, number>}
+   */
+  takeSuppressed() {
+    const counts = new Map();
+    this.suppressed.forEach((id) => counts.set(id, (counts.get(id) ?? 0) + 1));
+    if (this.suppressed.length > 0) {
+      this.suppressed = [];
+      this.store.set(SUPPRESSED_STORE_KEY, this.suppressed);
+    }
+    return counts;
+  }
+
+  _sanitize(settings) {
+    const serviceModes = Object.fromEntries(
+      Object.entries(settings.serviceModes ?? {}).filter(([, mode]) =>
+        VALID_MODES.has(mode),
+      ),
+    );
+    return {
+      enabled: Boolean(settings.enabled),
+      summarize: settings.summarize !== false,
+      quietHours: {
+        enabled: Boolean(settings.quietHours?.enabled),
+        ...sanitizeSchedule(settings.quietHours, DEFAULT_SETTINGS.quietHours),
+      },
+      workingHours: sanitizeSchedule(
+        settings.workingHours,
+        DEFAULT_SETTINGS.workingHours,
+      ),
+      serviceModes,
+    };
+  }
+}
@@ -0,0 +1,164 @@
+import { randomUUID } from "crypto";
+import { shell } from "electron";
+import fs from "fs";
+import path from "path";
+
+const STORE_KEY = "downloads";
+const MAX_ENTRIES = 100;
+
+export const DOWNLOAD_STATES = {
+  PROGRESSING: "progressing",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  INTERRUPTED: "interrupted",
+};
+
+/**
+ * Returns a path in a folder for a file name that does not overwrite an
+ * existing file, adding " (1)", " (2)"... before the extension if needed.
+ * @param {string} folder
+ * @param {string} filename
+ * @returns {string}
+ */
+export function getUniqueSavePath(folder, filename) {
+  const { name, ext } = path.parse(filename);
+  let candidate = path.join(folder, filename);
+  for (let index = 1; fs.existsSync(candidate); index++) {
+    candidate = path.join(folder, `${name} (${index})${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Tracks Electron DownloadItems while they run and keeps a bounded,
+ * persisted history of finished downloads. Downloads still running when the
+ * app quits are recorded as interrupted.
+ */
+export class DownloadManager {
+  /**
+   * @param {import("electron-store").default} store - The app's electron-store instance.
+   * @param {() => void} onChange - Called after any download changes.
+   */
+  constructor(store, onChange) {
+    this.store = store;
+    this.onChange = onChange;
+    this.items = new Map();
+    this.entries = store
+      .get(STORE_KEY, [])
+      .map((entry) =>
+        entry.state === DOWNLOAD_STATES.PROGRESSING ||
+        entry.state === DOWNLOAD_STATES.PAUSED
+          ? { ...entry, state: DOWNLOAD_STATES.INTERRUPTED }
+          : entry,
+      );
+  }
+
+  /**
+   * Starts tracking a download. Call it from "will-download", after the
+   * save path (if any) has been set.
+   * @param {Electron.DownloadItem} item
+   * @param {string|null} source - The view id the download came from.
+   */
+  track(item, source) {
+    const entry = {
+      id: randomUUID(),
+      filename: item.getFilename(),
+      url: item.getURL(),
+      source,
+      savePath: item.getSavePath() || null,
+      receivedBytes: 0,
+      totalBytes: item.getTotalBytes(),
+      state: DOWNLOAD_STATES.PROGRESSING,
+      startTime: Date.now(),
+    };
+    this.items.set(entry.id, item);
+    this.entries = [entry, ...this.entries];
+    this._trim();
+
+    item.on("updated", (event, state) => {
+      Object.assign(entry, this._snapshot(item));
+      if (state === "interrupted") {
+        entry.state = DOWNLOAD_STATES.INTERRUPTED;
+      } else {
+        entry.state = item.isPaused()
+          ? DOWNLOAD_STATES.PAUSED
+          : DOWNLOAD_STATES.PROGRESSING;
+      }
+      this.onChange();
+    });
+
+    item.once("done", (event, state) => {
+      Object.assign(entry, this._snapshot(item), { state });
+      this.items.delete(entry.id);
+      this._trim();
+      this._save();
+      this.onChange();
+    });
+
+    this._save();
+    this.onChange();
+  }
+
+  getAll() {
+    return this.entries;
+  }
+
+  /**
+   * @returns {object[]} Downloads still running or paused.
+   */
+  getActive() {
+    return this.entries.filter((e) => this.items.has(e.id));
+  }
+
+  pause(id) {
+    this.items.get(id)?.pause();
+  }
+
+  resume(id) {
+    const item = this.items.get(id);
+    if (item?.canResume()) item.resume();
+  }
+
+  cancel(id) {
+    this.items.get(id)?.cancel();
+  }
+
+  showInFolder(id) {
+    const entry = this.entries.find((e) => e.id === id);
+    if (entry?.savePath) shell.showItemInFolder(entry.savePath);
+  }
+
+  /**
+   * Drops finished downloads from the history. Running ones are kept.
+   */
+  clear() {
+    this.entries = this.getActive();
+    this._save();
+    this.onChange();
+  }
+
+  /**
+   * Drops the oldest finished downloads beyond MAX_ENTRIES. Running and
+   * paused ones are kept whatever their number, so their controls remain.
+   */
+  _trim() {
+    let finishedSlots = MAX_ENTRIES - this.getActive().length;
+    this.entries = this.entries.filter(
+      (e) => this.items.has(e.id) || finishedSlots-- > 0,
+    );
+  }
+
+  _snapshot(item) {
+    return {
+      filename: item.getFilename(),
+      savePath: item.getSavePath() || null,
+      receivedBytes: item.getReceivedBytes(),
+      totalBytes: item.getTotalBytes(),
+    };
+  }
+
+  _save() {
+    this.store.set(STORE_KEY, this.entries);
+  }
+}
@@ -0,0 +1,108 @@
+export const LINK_ACTIONS = {
+  WINDOW: "window", // In-app child window sharing the opener's session
+  SERVICE: "service", // The service view the link belongs to
+  EXTERNAL: "external", // The system browser
+};
+
+const VALID_ACTIONS = new Set(Object.values(LINK_ACTIONS));
+
+// Checked in order; links matching no rule open externally
+export const DEFAULT_LINK_RULES = [
+  { pattern: "accounts.google.com", action: LINK_ACTIONS.WINDOW },
+  { pattern: "meet.google.com", action: LINK_ACTIONS.WINDOW },
+  { pattern: "docs.google.com", action: LINK_ACTIONS.WINDOW },
+  { pattern: "*.google.com", action: LINK_ACTIONS.SERVICE },
+  { pattern: "*.proton.me", action: LINK_ACTIONS.SERVICE },
+];
+
+/**
+ * Checks a URL against a rule pattern. Patterns are a host, optionally
+ * followed by a path prefix, where "*" matches any characters
+ * (e.g. "*.google.com" or "mail.google.com/chat").
+ * @param {URL} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesLinkPattern(url, pattern) {
+  const hasPath = pattern.includes("/");
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  // Hosts must match fully, paths only as a prefix
+  const regex = new RegExp(`^${source}${hasPath ? "" : "$"}`, "i");
+  return regex.test(hasPath ? `${url.host}${url.pathname}` : url.host);
+}
+
+/**
+ * Drops malformed rules, e.g. from a hand-edited store.
+ * @param {unknown} rules
+ * @returns {{pattern: string, action: string}[]}
+ */
+export function sanitizeLinkRules(rules) {
+  if (!Array.isArray(rules)) return DEFAULT_LINK_RULES;
+  return rules
+    .filter(
+      (rule) =>
+        typeof rule?.pattern === "string" && VALID_ACTIONS.has(rule.action),
+    )
+    .map(({ pattern, action }) => ({ pattern: pattern.trim(), action }));
+}
+
+/**
+ * Picks what happens to a link opened by web content. Only http(s) links
+ * can stay in the app.
+ * @param {{pattern: string, action: string}[]} rules
+ * @param {string} url
+ * @returns {string} One of LINK_ACTIONS.
+ */
+export function findLinkAction(rules, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return LINK_ACTIONS.EXTERNAL;
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+    return LINK_ACTIONS.EXTERNAL;
+  }
+
+  const rule = rules.find(
+    ({ pattern }) => pattern && matchesLinkPattern(parsed, pattern),
+  );
+  return rule?.action ?? LINK_ACTIONS.EXTERNAL;
+}
+
+/**
+ * Finds the service a URL belongs to: same origin as the service's home
+ * page and, among those, the most leading path segments in common (so
+ * mail.google.com/chat goes to Chat rather than Gmail).
+ * @param {object[]} configs - Candidate view configs, in order of preference.
+ * @param {string} url
+ * @returns {object|undefined} The matching view config.
+ */
+export function findServiceForUrl(configs, url) {
+  const target = new URL(url);
+  const targetSegments = target.pathname.split("/").filter(Boolean);
+
+  let best;
+  let bestScore = -1;
+  configs.forEach((config) => {
+    const home = new URL(config.url);
+    if (home.origin !== target.origin) return;
+
+    const homeSegments = home.pathname.split("/").filter(Boolean);
+    let score = 0;
+    while (
+      score < homeSegments.length &&
+      homeSegments[score] === targetSegments[score]
+    ) {
+      score++;
+    }
+    if (score > bestScore) {
+      best = config;
+      bestScore = score;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,108 @@
+export const MAILTO_PROTOCOL = "mailto";
+
+// Compose URL builders, keyed by service id. Each receives the parsed
+// message and the original mailto: URL.
+const COMPOSE_URL_BUILDERS = {
+  gmail: ({ to, cc, bcc, subject, body }) => {
+    const params = new URLSearchParams({ view: "cm", fs: "1", to });
+    if (cc) params.set("cc", cc);
+    if (bcc) params.set("bcc", bcc);
+    if (subject) params.set("su", subject);
+    if (body) params.set("body", body);
+    return `https://mail.google.com/mail/u/0/?${params}`;
+  },
+  // Proton Mail opens its composer from the handler URL it registers itself
+  protonmail: (message, url) =>
+    `https://mail.proton.me/u/0/inbox#mailto=${encodeURIComponent(url)}`,
+};
+
+export const MAILTO_SERVICES = Object.keys(COMPOSE_URL_BUILDERS);
+
+/**
+ * Finds a mailto: URL among command line arguments.
+ * @param {string[]} argv
+ * @returns {string|undefined}
+ */
+export function findMailtoUrl(argv) {
+  return argv.find((arg) =>
+    arg.toLowerCase().startsWith(`${MAILTO_PROTOCOL}:`),
+  );
+}
+
+/**
+ * Parses a mailto: URL (RFC 6068). Header names are case-insensitive and
+ * recipients in the path and in a "to" header are combined.
+ * @param {string} url
+ * @returns {{to: string, cc: string, bcc: string, subject: string, body: string}|null}
+ *   null when the URL is not a valid mailto: URL.
+ */
+export function parseMailtoUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== `${MAILTO_PROTOCOL}:`) return null;
+
+  // Not URLSearchParams: "+" is a literal character in mailto: URLs
+  const headers = {};
+  let to;
+  try {
+    parsed.search
+      .slice(1)
+      .split("&")
+      .filter(Boolean)
+      .forEach((pair) => {
+        const [key, value = ""] = pair.split(/=(.*)/s);
+        const name = decodeURIComponent(key).toLowerCase();
+        const decoded = decodeURIComponent(value);
+        headers[name] = headers[name] ? `${headers[name]},${decoded}` : decoded;
+      });
+    to = [decodeURIComponent(parsed.pathname), headers.to]
+      .filter(Boolean)
+      .join(",");
+  } catch {
+    return null;
+  }
+
+  return {
+    to,
+    cc: headers.cc ?? "",
+    bcc: headers.bcc ?? "",
+    subject: headers.subject ?? "",
+    body: headers.body ?? "",
+  };
+}
+
+/**
+ * Picks the view that composes a message. The first rule whose pattern is
+ * the end of a recipient address wins (e.g. "@example.com"), otherwise the
+ * default service is used.
+ * @param {{defaultService: string, rules: {pattern: string, service: string}[]}} settings
+ * @param {{to: string, cc: string}} message
+ * @returns {string} A view id.
+ */
+export function resolveMailtoTarget({ defaultService, rules }, message) {
+  const recipients = `${message.to},${message.cc}`
+    .split(",")
+    .map((address) => address.trim().toLowerCase())
+    .filter(Boolean);
+
+  const rule = rules.find(
+    ({ pattern }) =>
+      pattern &&
+      recipients.some((address) => address.endsWith(pattern.toLowerCase())),
+  );
+  return rule?.service ?? defaultService;
+}
+
+/**
+ * @param {string} serviceId - "gmail" or "protonmail".
+ * @param {object} message - As returned by parseMailtoUrl.
+ * @param {string} url - The original mailto: URL.
+ * @returns {string|undefined} The compose URL, if the service supports it.
+ */
+export function buildComposeUrl(serviceId, message, url) {
+  return COMPOSE_URL_BUILDERS[serviceId]?.(message, url);
+}
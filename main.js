@@ -9,12 +9,57 @@ import {
   MenuItem,
   Notification,
   session,
+  dialog,
 } from "electron";
 import path from "path";
 import fs from "fs";
 import { createMenu } from "./menu.js";
+import { createTray, updateTray } from "./tray.js";
+import {
+  openPreferences,
+  notifyPreferencesChanged,
+  setupPreferencesIpc,
+} from "./preferences.js";
 import { fileURLToPath } from "url";
 import Store from "electron-store";
+import { NotificationHistory } from "./notification-history.js";
+import { DoNotDisturb } from "./do-not-disturb.js";
+import { buildPaletteEntries } from "./command-palette.js";
+import {
+  MAILTO_PROTOCOL,
+  MAILTO_SERVICES,
+  findMailtoUrl,
+  parseMailtoUrl,
+  resolveMailtoTarget,
+  buildComposeUrl,
+} from "./mailto.js";
+import {
+  LINK_ACTIONS,
+  DEFAULT_LINK_RULES,
+  sanitizeLinkRules,
+  findLinkAction,
+  findServiceForUrl,
+} from "./link-routing.js";
+import { openTaskManager, setupTaskManagerIpc } from "./task-manager.js";
+import { DownloadManager, getUniqueSavePath } from "./download-manager.js";
+import { SpellChecker } from "./spellchecker.js";
+import { sanitizeProxySettings, toProxyConfig } from "./proxy.js";
+import {
+  confirmProxyLogin,
+  promptProxyLogin,
+  setupProxyLoginIpc,
+} from "./proxy-login.js";
+import { parseCommandLine } from "./cli.js";
+import {
+  isOriginAllowed,
+  stripFrameBlockingHeaders,
+} from "./security-policy.js";
+import { ControlServer } from "./control-socket.js";
+import { PermissionManager, toPermissionTypes } from "./permissions.js";
+import {
+  promptPermission,
+  setupPermissionPromptIpc,
+} from "./permission-prompt.js";
 import pkg from "electron-updater";
 const { autoUpdater } = pkg;
 import contextMenu from "electron-context-menu";
@@ -32,71 +77,297 @@ const IPC_CHANNELS = {
   GET_ENABLED_SERVICES: "get-enabled-services",
   SET_LOADING_STATE: "set-loading-state",
   SHOW_NOTIFICATION: "show-notification",
+  SHOW_ACCOUNT_MENU: "show-account-menu",
+  ADD_CUSTOM_SERVICE: "add-custom-service",
+  REORDER_SERVICES: "reorder-services",
+  TOGGLE_PANEL: "toggle-panel",
+  CLOSE_PANEL: "close-panel",
+  UPDATE_HISTORY_BADGE: "update-history-badge",
+  GET_NOTIFICATION_HISTORY: "get-notification-history",
+  NOTIFICATION_HISTORY_CHANGED: "notification-history-changed",
+  OPEN_NOTIFICATION: "open-notification",
+  MARK_ALL_NOTIFICATIONS_READ: "mark-all-notifications-read",
+  CLEAR_NOTIFICATION_HISTORY: "clear-notification-history",
+  GET_PALETTE_ITEMS: "get-palette-items",
+  EXECUTE_PALETTE_ITEM: "execute-palette-item",
+  OPEN_SPLIT_VIEW: "open-split-view",
+  SPLIT_DRAG_START: "split-drag-start",
+  SPLIT_DRAG: "split-drag",
+  SPLIT_DRAG_END: "split-drag-end",
+  UPDATE_DOWNLOAD_PROGRESS: "update-download-progress",
+  GET_DOWNLOADS: "get-downloads",
+  DOWNLOADS_CHANGED: "downloads-changed",
+  PAUSE_DOWNLOAD: "pause-download",
+  RESUME_DOWNLOAD: "resume-download",
+  CANCEL_DOWNLOAD: "cancel-download",
+  SHOW_DOWNLOAD_IN_FOLDER: "show-download-in-folder",
+  CLEAR_DOWNLOADS: "clear-downloads",
 };
 
 const LAYOUT_CONSTANTS = {
   MENU_WIDTH: 80,
+  PANEL_WIDTH: 360,
+  PALETTE_WIDTH: 600,
+  PALETTE_HEIGHT: 420,
+  PALETTE_TOP: 80,
+  SPLIT_DIVIDER_SIZE: 6,
+  SPLIT_MIN_RATIO: 0.2,
+  SPLIT_MAX_RATIO: 0.8,
+};
+
+const SPLIT_ORIENTATIONS = {
+  HORIZONTAL: "horizontal", // Side by side
+  VERTICAL: "vertical", // Stacked
+};
+const SPLIT_DIVIDER_PRELOAD = "preload-divider.js";
+
+// Session-wide settings (proxy, spellchecker languages) are configured for
+// two groups: Proton's partition, and everything else
+const SESSION_GROUPS = {
+  GOOGLE: "google",
+  PROTON: "proton",
+};
+
+// Permission decisions of views without a partition, which share the
+// default session
+const DEFAULT_PARTITION = "default";
+
+// Overlay panels shown on top of the active view. They share a single
+// preload with a whitelisted contract. "drawer" panels slide out next to the
+// sidebar, "centered" ones float over the content and close on blur.
+const PANEL_CONFIG = {
+  notifications: { file: "notifications.html", layout: "drawer" },
+  downloads: { file: "downloads.html", layout: "drawer" },
+  palette: {
+    file: "command-palette.html",
+    layout: "centered",
+    closeOnBlur: true,
+  },
+};
+const PANEL_PRELOAD = "preload-panel.js";
+
+// Number of recently visited pages remembered per view for the palette
+const MAX_RECENT_PAGES = 20;
+
+// Failed loads are replaced by this page and retried with exponential backoff
+const LOAD_ERROR_PAGE = "load-error.html";
+const LOAD_RETRY_BASE_DELAY_MS = 5 * 1000;
+const LOAD_RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+// While loads are failing, how often connectivity is checked to retry early
+const ONLINE_CHECK_INTERVAL_MS = 5 * 1000;
+// Chromium's net::ERR_ABORTED, reported when a navigation is superseded
+const ERR_ABORTED = -3;
+
+// Download progress fires many times per second; updates are throttled
+const DOWNLOAD_PUBLISH_INTERVAL_MS = 250;
+
+// How often background services are checked for hibernation
+const HIBERNATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// How often quiet hours are re-evaluated to detect when they start or end
+const DND_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Notification click-through targets renderers may ask to open directly
+const NOTIFICATION_ACTION_URL_PREFIXES = ["https://meet.google.com/"];
+
+const DEFAULT_WINDOW_BOUNDS = { width: 1200, height: 800 };
+const COMPOSE_WINDOW_BOUNDS = { width: 900, height: 700 };
+const CHILD_WINDOW_BOUNDS = { width: 1000, height: 750 };
+const DETACHED_WINDOW_BOUNDS = { width: 1000, height: 750 };
+
+/**
+ * Removes the Electron token from a user agent, as some services refuse to
+ * work in browsers they do not recognise.
+ * @param {string} userAgent
+ * @returns {string}
+ */
+function getCleanUserAgent(userAgent) {
+  return userAgent.replace(/Electron\/[0-9.]+\s/, "");
+}
+
+const DEFAULT_ACCOUNT = { id: "default", label: "Account 1" };
+const MAX_ACCOUNT_LABEL_LENGTH = 40;
+
+// Sidebar groups, keyed by service provider, in display order. Services can
+// only be reordered within their group.
+const SERVICE_GROUPS = [
+  { id: "google", title: "Google" },
+  { id: "custom", title: "Custom" },
+  { id: "proton", title: "Proton", alignBottom: true },
+];
+
+// Security policy of each provider, referenced by VIEW_CONFIG. A service's
+// own origin is always allowed.
+// - allowedOrigins: top-level navigation stays in the view on these origins;
+//   other http(s) pages open in the browser, except during sign-in flows
+//   (see _guardNavigation)
+// - notificationOrigins: pages that may ask to show notifications; others
+//   are refused without a prompt
+// - frameHosts: hosts that the service embeds in frames although they send
+//   X-Frame-Options or CSP frame-ancestors, which are dropped for those
+//   frames only
+const GOOGLE_SECURITY = {
+  allowedOrigins: [
+    "https://*.google.com",
+    "https://*.googleusercontent.com",
+    // Sign-in sets cookies on these through redirects
+    "https://accounts.google.*",
+    "https://accounts.google.co.*",
+    "https://accounts.youtube.com",
+  ],
+  notificationOrigins: [
+    "https://mail.google.com",
+    "https://calendar.google.com",
+    "https://chat.google.com",
+    "https://tasks.google.com",
+  ],
+  frameHosts: [
+    "https://chat.google.com",
+    "https://calendar.google.com",
+    "https://tasks.google.com",
+    "https://contacts.google.com",
+  ],
 };
 
+const PROTON_SECURITY = {
+  allowedOrigins: ["https://*.proton.me"],
+  notificationOrigins: [
+    "https://mail.proton.me",
+    "https://calendar.proton.me",
+    "https://account.proton.me",
+  ],
+  frameHosts: ["https://*.proton.me"],
+};
+
+// Content views share one preload, which runs the strategies named by the
+// view's `adapter` (implemented in preload-service.js):
+// - sourceId: the service id reported with badges, favicons and notifications
+// - origins: origins besides the service's own where the adapter runs
+// - badge: how the unread count is read, or null for none
+// - favicon: how the sidebar icon is kept up to date
+// - notifications: how page notifications are replaced by the app's own,
+//   or null
+const SERVICE_PRELOAD = "preload-service.js";
+const SERVICE_ADAPTER_ARGUMENT = "--service-adapter=";
+
 const VIEW_CONFIG = {
   MENU: { id: "menu", preload: "preload.js", isContent: false },
   DRIVE: {
     id: "drive",
+    provider: "google",
     title: "Google Drive",
     icon: "assets/default/drive.png",
     url: "https://drive.google.com/drive/u/0/my-drive",
-    preload: "preload-web.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "drive",
+      // Drive has no meaningful unread state
+      badge: null,
+      favicon: "links",
+      // Not among the notificationOrigins
+      notifications: null,
+    },
     isContent: true,
+    security: GOOGLE_SECURITY,
   },
   CALENDAR: {
     id: "calendar",
+    provider: "google",
     title: "Calendar",
     icon: "assets/default/calendar.png",
     url: "https://calendar.google.com/calendar/u/0/r",
-    preload: "preload-web.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "calendar",
+      badge: "calendar-invitations",
+      favicon: "calendar-date",
+      notifications: "calendar-reminders",
+    },
     isContent: true,
+    security: GOOGLE_SECURITY,
   },
   GMAIL: {
     id: "gmail",
+    provider: "google",
     title: "Gmail",
     icon: "assets/default/gmail.png",
     url: "https://mail.google.com/mail/u/0/",
-    preload: "preload-web.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "gmail",
+      badge: "title",
+      favicon: "links",
+      notifications: "notification-api",
+    },
     isContent: true,
+    security: GOOGLE_SECURITY,
   },
   CHAT: {
     id: "chat",
+    provider: "google",
     title: "Google Chat",
     icon: "assets/default/chat.png",
     url: "https://mail.google.com/chat/u/0/#chat/home",
-    preload: "preload-web.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "chat",
+      origins: ["https://chat.google.com"],
+      badge: "chat-title",
+      favicon: "links",
+      notifications: "notification-api",
+    },
     isContent: true,
+    security: GOOGLE_SECURITY,
   },
   TASKS: {
     id: "tasks",
+    provider: "google",
     title: "Google Tasks",
     icon: "assets/default/tasks.png",
     url: "https://tasks.google.com/tasks",
-    preload: "preload-web.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "tasks",
+      badge: "overdue-tasks",
+      favicon: "links",
+      notifications: "notification-api",
+    },
     isContent: true,
+    security: GOOGLE_SECURITY,
   },
   PROTONMAIL: {
     id: "protonmail",
+    provider: "proton",
     title: "Proton Mail",
     icon: "assets/default/proton-mail.png",
     url: "https://mail.proton.me/u/0/inbox",
-    preload: "preload-proton.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "protonmail",
+      badge: "title",
+      favicon: "links",
+      notifications: "notification-api",
+    },
     isContent: true,
     partition: "persist:proton",
+    security: PROTON_SECURITY,
   },
   PROTONCALENDAR: {
     id: "protoncalendar",
+    provider: "proton",
     title: "Proton Calendar",
     icon: "assets/default/proton-calendar.png",
     url: "https://calendar.proton.me",
-    preload: "preload-proton.js",
+    preload: SERVICE_PRELOAD,
+    adapter: {
+      sourceId: "protoncalendar",
+      badge: null,
+      favicon: "links",
+      notifications: "notification-api",
+    },
     isContent: true,
     partition: "persist:proton",
+    security: PROTON_SECURITY,
   },
 };
 
@@ -104,8 +375,6 @@ const VALID_PRELOADS = new Set(
   Object.values(VIEW_CONFIG).map((c) => c.preload),
 );
 
-const VALID_VIEW_IDS = new Set(Object.values(VIEW_CONFIG).map((c) => c.id));
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const packageJson = JSON.parse(
@@ -122,6 +391,35 @@ class MainWindow {
     this.activeViewId = null;
     this.unreadCounts = new Map();
     this.loadedViews = new Set();
+    this.tray = null;
+    this.preferencesWin = null;
+    this.taskManagerWin = null;
+    this.panelView = null;
+    this.activePanel = null;
+    this.paletteActions = new Map();
+    this.recentPages = new Map();
+    this.childWindowSources = new Map();
+    this.detachedWindows = new Map();
+    // Hibernated view ids, mapped to the page to restore when woken up
+    this.hibernatedViews = new Map();
+    this.lastVisibleAt = new Map();
+    // View ids whose last load failed, with the URL to retry
+    this.failedLoads = new Map();
+    this.onlineCheckTimer = null;
+    this.doNotDisturbTimer = null;
+    this.hibernationTimer = null;
+    // Sessions already set up, mapped to their SESSION_GROUPS value
+    this.sessionGroups = new Map();
+    // Pending proxy logins by "host:port", see proxy-login.js
+    this.proxyLogins = new Map();
+    // URLs challenged by each proxy since credentials were last sent to it
+    this.proxyLoginAttempts = new Map();
+    // Open permission prompts, see permission-prompt.js
+    this.permissionPrompts = new Map();
+    this.downloadPublishTimer = null;
+    this.dividerView = null;
+    this.isDraggingDivider = false;
+    this.isQuitting = false;
 
     // Load persistence state (Default: all enabled)
     this.enabledServices = this.store.get("services", {
@@ -135,28 +433,194 @@ class MainWindow {
     });
 
     this.zoomLevels = this.store.get("zoomLevels", {});
+    this.closeToTray = this.store.get("closeToTray", false);
+    this.startupTab = this.store.get("startupTab", "last");
+    this.notificationSettings = this.store.get("notifications", {
+      enabled: true,
+      silent: false,
+    });
+    this.updateSettings = this.store.get("updates", {
+      autoCheck: true,
+      autoDownload: true,
+    });
+    // Split view: `panes` holds the two view ids while split, otherwise null
+    this.splitView = this.store.get("splitView", {
+      panes: null,
+      orientation: SPLIT_ORIENTATIONS.HORIZONTAL,
+      ratio: 0.5,
+    });
+    this.hibernationSettings = this.store.get("hibernation", {
+      timeoutMinutes: 30,
+    });
+    this.linkRules = sanitizeLinkRules(
+      this.store.get("linkRules", DEFAULT_LINK_RULES),
+    );
+    // Per-service folders are keyed by view id; others use the system folder
+    this.downloadSettings = this.store.get("downloadSettings", {
+      alwaysAsk: false,
+      folders: {},
+    });
+    this.controlSocketEnabled = this.store.get("controlSocket", false);
+    const proxySettings = this.store.get("proxy", {});
+    this.proxySettings = Object.fromEntries(
+      Object.values(SESSION_GROUPS).map((group) => [
+        group,
+        sanitizeProxySettings(proxySettings[group]),
+      ]),
+    );
+    this.mailtoSettings = this.store.get("mailto", {
+      registerAsDefault: true,
+      defaultService: VIEW_CONFIG.GMAIL.id,
+      rules: [],
+    });
+
+    this.accounts = this.store.get("googleAccounts", [DEFAULT_ACCOUNT]);
+    this.activeAccountId = this.store.get("activeAccount", DEFAULT_ACCOUNT.id);
+    if (!this.accounts.some((a) => a.id === this.activeAccountId)) {
+      this.activeAccountId = this.accounts[0].id;
+    }
+
+    this.customServices = this.store.get("customServices", []);
+    this.serviceOrder = this.store.get("serviceOrder", []);
+    this.notificationHistory = new NotificationHistory(this.store);
+    this.doNotDisturb = new DoNotDisturb(this.store);
+    this.wasDoNotDisturbActive = this.doNotDisturb.isActive();
+    this.spellChecker = new SpellChecker(this.store);
+    this.permissionManager = new PermissionManager(this.store, () =>
+      notifyPreferencesChanged(this),
+    );
+    this.controlServer = new ControlServer(this);
+    this.downloadManager = new DownloadManager(this.store, () =>
+      this._publishDownloads(),
+    );
+
+    this._buildViewRegistry();
+  }
+
+  /**
+   * Expands the static VIEW_CONFIG into the runtime view registry.
+   * Google services are instantiated once per registered account, each one
+   * bound to that account's session partition. Other services pass through,
+   * and user-defined custom services are appended after them.
+   */
+  _buildViewRegistry() {
+    const registry = {};
+    const isMultiAccount = this.accounts.length > 1;
+
+    Object.values(VIEW_CONFIG).forEach((config) => {
+      if (config.provider !== "google") {
+        registry[config.id] = { ...config, serviceId: config.id };
+        return;
+      }
+
+      this.accounts.forEach((account) => {
+        const id = this._getAccountViewId(config.id, account.id);
+        registry[id] = {
+          ...config,
+          id,
+          serviceId: config.id,
+          accountId: account.id,
+          title: isMultiAccount
+            ? `${config.title} (${account.label})`
+            : config.title,
+          partition: this._getAccountPartition(account.id),
+        };
+      });
+    });
+
+    this.customServices.forEach((service) => {
+      registry[service.id] = {
+        id: service.id,
+        serviceId: service.id,
+        provider: "custom",
+        title: service.title,
+        icon: service.icon,
+        url: service.url,
+        preload: SERVICE_PRELOAD,
+        adapter: {
+          sourceId: service.id,
+          badge: "title",
+          favicon: "links",
+          notifications: "notification-api",
+        },
+        isContent: true,
+        partition: service.isolated ? `persist:${service.id}` : undefined,
+        security: {
+          allowedOrigins: service.allowedOrigins ?? [],
+          notificationOrigins: [new URL(service.url).origin],
+          frameHosts: [],
+        },
+      };
+    });
+
+    this.viewConfig = registry;
+    this.validViewIds = new Set(Object.keys(registry));
+  }
+
+  _getAccountViewId(serviceId, accountId) {
+    return accountId === DEFAULT_ACCOUNT.id
+      ? serviceId
+      : `${serviceId}-${accountId}`;
+  }
+
+  _getAccountPartition(accountId) {
+    // The default account keeps the default session so existing logins survive
+    return accountId === DEFAULT_ACCOUNT.id
+      ? undefined
+      : `persist:google-${accountId}`;
+  }
+
+  _getAccountSession(accountId) {
+    const partition = this._getAccountPartition(accountId);
+    return partition
+      ? session.fromPartition(partition)
+      : session.defaultSession;
+  }
+
+  _isInActiveAccount(config) {
+    return !config.accountId || config.accountId === this.activeAccountId;
   }
 
   /**
    * Initializes and displays the main application window.
    * Orchestrates window creation, view setup, IPC handlers, and auto-updater.
+   * @param {{hidden?: boolean}} [options] - `hidden` starts without showing
+   *   the window, which stays reachable from the tray.
    */
-  create() {
-    this._createWindow();
-    this._setupSecurity();
-    this._setupProtonSecurity();
+  create({ hidden = false } = {}) {
+    this._createWindow(hidden);
+    // Also used by the app's own requests (connectivity checks, updates)
+    this._setupSession(session.defaultSession, SESSION_GROUPS.GOOGLE);
     this._createViews();
     this._attachViews();
     this._layoutViews();
     this._setupIpcHandlers();
+    setupPreferencesIpc(this);
+    setupTaskManagerIpc(this);
+    setupProxyLoginIpc(this);
+    setupPermissionPromptIpc(this);
+    if (this.controlSocketEnabled) this.controlServer.start();
+    if (this.mailtoSettings.registerAsDefault) this._setMailtoHandler(true);
     this._loadInitialContent();
+    this.tray = createTray(this);
+    this.doNotDisturbTimer = setInterval(
+      () => this._checkDoNotDisturbTransition(),
+      DND_CHECK_INTERVAL_MS,
+    );
+    // Do Not Disturb may have ended while the app was closed
+    if (!this.wasDoNotDisturbActive) this._showSuppressedSummary();
+    this.hibernationTimer = setInterval(
+      () => this._checkHibernation(),
+      HIBERNATION_CHECK_INTERVAL_MS,
+    );
     this._setupAutoUpdater();
   }
 
-  _createWindow() {
-    const bounds = this.store.get("windowBounds", { width: 1200, height: 800 });
+  _createWindow(hidden) {
+    const bounds = this.store.get("windowBounds", DEFAULT_WINDOW_BOUNDS);
     this.win = new BrowserWindow({
       ...bounds,
+      show: !hidden,
       minWidth: 1000,
       minHeight: 700,
       title: "GSuite & Proton Client",
@@ -184,416 +648,2576 @@ class MainWindow {
       const activeView = this.views.get(this.activeViewId);
       activeView?.webContents.focus();
     });
-  }
-
-  _setupSecurity() {
-    const session = this.win.webContents.session;
-
-    session.setPermissionRequestHandler(
-      (webContents, permission, callback, details) => {
-        if (permission === "notifications") {
-          const url = details.requestingUrl || webContents.getURL();
-          const googleDomains = [
-            "https://mail.google.com",
-            "https://calendar.google.com",
-            "https://chat.google.com",
-            "https://tasks.google.com",
-          ];
-          const isGoogleDomain = googleDomains.some((domain) =>
-            url.startsWith(domain),
-          );
-          return callback(isGoogleDomain);
-        }
 
-        // Allow media (camera/microphone)
-        const allowedPermissions = new Set(["media"]);
-        callback(allowedPermissions.has(permission));
-      },
-    );
-
-    session.webRequest.onHeadersReceived((details, callback) => {
-      const responseHeaders = { ...details.responseHeaders };
-      delete responseHeaders["x-frame-options"];
-      delete responseHeaders["X-Frame-Options"];
-      delete responseHeaders["content-security-policy"];
-      delete responseHeaders["Content-Security-Policy"];
-      callback({ responseHeaders });
+    // Keep running in the background when "Close to Tray" is enabled
+    this.win.on("close", (event) => {
+      // macOS apps keep running without windows. Hiding keeps this instance,
+      // with its timers, tray and IPC handlers, for the dock's "activate".
+      const keepsRunning = this.closeToTray || process.platform === "darwin";
+      if (keepsRunning && !this.isQuitting) {
+        event.preventDefault();
+        this.win.hide();
+        return;
+      }
+      // Detached services close with the main window instead of docking
+      this.detachedWindows.forEach((detachedWin) => detachedWin.destroy());
+      this.detachedWindows.clear();
     });
-  }
 
-  _setupProtonSecurity() {
-    const protonSession = session.fromPartition("persist:proton");
-
-    protonSession.setPermissionRequestHandler(
-      (webContents, permission, callback) => {
-        if (permission === "notifications") {
-          const url = webContents.getURL();
-          const isProtonDomain =
-            url.startsWith("https://mail.proton.me") ||
-            url.startsWith("https://calendar.proton.me") ||
-            url.startsWith("https://account.proton.me");
-          return callback(isProtonDomain);
-        }
+    this.win.on("closed", () => {
+      clearInterval(this.doNotDisturbTimer);
+      clearInterval(this.hibernationTimer);
+      clearInterval(this.onlineCheckTimer);
+    });
 
-        const allowedPermissions = new Set(["media"]);
-        callback(allowedPermissions.has(permission));
-      },
-    );
+    this.win.on("show", () => this._updateTray());
+    this.win.on("hide", () => this._updateTray());
+  }
 
-    protonSession.webRequest.onHeadersReceived((details, callback) => {
-      const responseHeaders = { ...details.responseHeaders };
-      delete responseHeaders["x-frame-options"];
-      delete responseHeaders["X-Frame-Options"];
-      delete responseHeaders["content-security-policy"];
-      delete responseHeaders["Content-Security-Policy"];
-      callback({ responseHeaders });
-    });
+  _showWindow() {
+    if (this.win.isMinimized()) this.win.restore();
+    this.win.show();
+    this.win.focus();
   }
 
   /**
-   * Creates BrowserView instances for all enabled services.
-   * Each view is isolated with its own preload script and security settings.
-   * Handles user-agent spoofing for better compatibility.
-   * @throws {Error} Critical error if preload validation fails (security)
+   * Opens the service or page requested on the command line, see cli.js.
+   * Service ids are checked against the view registry, and URLs must belong
+   * to an open service; anything else is ignored.
+   * @param {{service?: string, url?: string}} options
    */
-  _createViews() {
-    Object.values(VIEW_CONFIG).forEach((config) => {
-      try {
-        // 1. Security Check
-        if (!VALID_PRELOADS.has(config.preload)) {
-          throw new Error(`[Security] Invalid preload: ${config.preload}`);
-        }
-
-        // 2. Skip Disabled Services
-        if (config.isContent && !this.enabledServices[config.id]) {
-          return;
-        }
-
-        const isContent = config.isContent;
-        const webPreferences = {
-          preload: path.join(__dirname, config.preload),
-          contextIsolation: true,
-          sandbox: isContent,
-          nodeIntegration: !isContent,
-          backgroundThrottling: false,
-        };
-
-        if (config.partition) {
-          webPreferences.partition = config.partition;
-        }
-
-        const view = new WebContentsView({ webPreferences });
-        view.setBackgroundColor("#00000000");
-
-        if (isContent) {
-          this.unreadCounts.set(config.id, 0);
-
-          const originalUserAgent = view.webContents.getUserAgent();
-          const cleanUserAgent = originalUserAgent.replace(
-            /Electron\/[0-9.]+\s/,
-            "",
-          );
-          view.webContents.setUserAgent(cleanUserAgent);
-
-          contextMenu({
-            window: view,
-            showInspectElement: true,
-            showSaveImageAs: false,
-            showCopyImageAddress: false,
-            append: (defaultActions, params) => [
-              {
-                label: "Open in Browser",
-                visible: params.linkURL || params.pageURL,
-                click: () => {
-                  const url = params.linkURL || params.pageURL;
-                  if (url) shell.openExternal(url);
-                },
-              },
-            ],
-          });
-          view.webContents.setWindowOpenHandler(({ url }) => {
-            shell.openExternal(url);
-            return { action: "deny" };
-          });
-
-          // Restore saved zoom level
-          view.webContents.on("did-finish-load", () => {
-            const savedZoom = this.zoomLevels[config.id];
-            if (savedZoom !== undefined) {
-              view.webContents.setZoomFactor(savedZoom);
-            }
-          });
-
-          // Save zoom level changes
-          view.webContents.on("zoom-changed", (event, zoomDirection) => {
-            const currentZoom = view.webContents.getZoomFactor();
-            const newZoom =
-              zoomDirection === "in"
-                ? Math.min(currentZoom + 0.1, 3.0)
-                : Math.max(currentZoom - 0.1, 0.5);
-            view.webContents.setZoomFactor(newZoom);
-            this.zoomLevels[config.id] = newZoom;
-            this.store.set("zoomLevels", this.zoomLevels);
-          });
-        }
+  _openFromCommandLine({ service, url }) {
+    if (url && !URL.canParse(url)) {
+      console.warn(`[CLI] Ignoring invalid URL: ${url}`);
+    } else if (url) {
+      const viewId = url.startsWith("https://")
+        ? this._findServiceViewForUrl(this.activeViewId, url)
+        : undefined;
+      if (viewId) {
+        this._openUrlInView(viewId, url);
+        return;
+      }
+      console.warn(`[CLI] No service handles ${url}`);
+    }
 
-        this.views.set(config.id, view);
-      } catch (error) {
-        console.error(
-          `[MainWindow] Failed to create view "${config.id}":`,
-          error.message,
-        );
-        // Continue with other views instead of crashing
+    if (service) {
+      const viewId = this._resolveServiceId(service);
+      if (this._getSafeView(viewId)) {
+        this._switchToTab(viewId);
+      } else {
+        console.warn(`[CLI] Unknown or disabled service: ${service}`);
       }
-    });
+    }
   }
 
-  _attachViews() {
-    this.views.forEach((view) => this.win.contentView.addChildView(view));
+  /**
+   * Maps a service id given by the user to a view id. Plain service ids
+   * ("chat") resolve to the active account's view.
+   * @param {string} service - A view id or a service id.
+   * @returns {string|undefined}
+   */
+  _resolveServiceId(service) {
+    if (this.validViewIds.has(service)) return service;
+    return this._getOrderedServices().find((c) => c.serviceId === service)?.id;
   }
 
-  _layoutViews() {
-    if (!this.win) return;
-    const bounds = this.win.getBounds();
+  _toggleWindowVisibility() {
+    if (this.win.isVisible() && this.win.isFocused()) {
+      this.win.hide();
+    } else {
+      this._showWindow();
+    }
+  }
 
-    const menuView = this.views.get(VIEW_CONFIG.MENU.id);
-    if (menuView) {
-      menuView.setBounds({
-        x: 0,
-        y: 0,
-        width: LAYOUT_CONSTANTS.MENU_WIDTH,
-        height: bounds.height,
-      });
+  _setCloseToTray(enabled) {
+    this.closeToTray = enabled;
+    this.store.set("closeToTray", enabled);
+    this._updateTray();
+    notifyPreferencesChanged(this);
+  }
+
+  _setControlSocketEnabled(enabled) {
+    this.controlSocketEnabled = enabled;
+    this.store.set("controlSocket", enabled);
+    if (enabled) {
+      this.controlServer.start();
+    } else {
+      this.controlServer.stop();
     }
+  }
 
-    const contentBounds = {
-      x: LAYOUT_CONSTANTS.MENU_WIDTH,
-      y: 0,
-      width: bounds.width - LAYOUT_CONSTANTS.MENU_WIDTH,
-      height: bounds.height,
-    };
+  _setDoNotDisturb(enabled) {
+    this.doNotDisturb.setEnabled(enabled);
+    this._onDoNotDisturbChanged();
+  }
 
-    this.views.forEach((view, id) => {
-      if (id !== VIEW_CONFIG.MENU.id) {
-        view.setBounds(contentBounds);
-      }
-    });
+  _updateDoNotDisturb(settings) {
+    this.doNotDisturb.update(settings);
+    this._onDoNotDisturbChanged();
   }
 
-  _loadInitialContent() {
-    const menuView = this.views.get(VIEW_CONFIG.MENU.id);
-    if (!menuView) return;
+  _setServiceNotificationMode(serviceId, mode) {
+    if (!this.validViewIds.has(serviceId)) return;
+    this.doNotDisturb.setServiceMode(serviceId, mode);
+  }
 
-    // Always load menu view
-    menuView.webContents.loadFile(path.join(__dirname, "menu.html"));
+  _onDoNotDisturbChanged() {
+    Menu.setApplicationMenu(createMenu(this));
+    this._checkDoNotDisturbTransition();
+    this._updateTray();
+    notifyPreferencesChanged(this);
+  }
 
-    // Determine initial active tab
-    let lastTabId = this.store.get("lastTab", VIEW_CONFIG.DRIVE.id);
+  /**
+   * Detects when Do Not Disturb (manual or scheduled) ends, and shows a
+   * summary of the notifications held back meanwhile.
+   */
+  _checkDoNotDisturbTransition() {
+    const isActive = this.doNotDisturb.isActive();
+    if (isActive === this.wasDoNotDisturbActive) return;
+
+    this.wasDoNotDisturbActive = isActive;
+    this._updateTray();
+    this._broadcastUnreadCounts();
+    if (!isActive) this._showSuppressedSummary();
+  }
 
-    if (!this._getSafeView(lastTabId)) {
-      const firstAvailable = [...this.views.keys()].find((id) => id !== "menu");
-      lastTabId = firstAvailable || null;
-    }
+  _showSuppressedSummary() {
+    const counts = this.doNotDisturb.takeSuppressed();
+    if (!this.doNotDisturb.getSettings().summarize || counts.size === 0) return;
 
-    // Load only the active view initially (lazy loading)
-    if (lastTabId) {
-      const targetView = this._getSafeView(lastTabId);
-      if (targetView) {
-        const config = Object.values(VIEW_CONFIG).find(
-          (c) => c.id === lastTabId,
-        );
-        if (config?.url) {
-          targetView.webContents.loadURL(config.url);
-          this.loadedViews.add(lastTabId);
-        }
-        this.activeViewId = lastTabId;
-        this.win.contentView.addChildView(targetView);
-      }
-    }
+    const total = [...counts.values()].reduce((a, b) => a + b, 0);
+    const lines = [...counts].map(
+      ([source, count]) =>
+        `${this.viewConfig[source]?.title ?? source}: ${count}`,
+    );
 
-    menuView.webContents.on("did-finish-load", () => {
-      menuView.webContents.send(IPC_CHANNELS.GET_ENABLED_SERVICES, {
-        activeId: this.activeViewId,
-        services: this.enabledServices,
-        config: VIEW_CONFIG,
-      });
+    const notification = new Notification({
+      title: `${total} notification${total === 1 ? "" : "s"} while Do Not Disturb was on`,
+      body: lines.join("\n"),
+      silent: this.notificationSettings.silent,
     });
+    notification.on("click", () => {
+      this._showWindow();
+      this._openPanel("notifications");
+    });
+    notification.show();
   }
 
-  _setupAutoUpdater() {
-    autoUpdater.logger = console;
-    autoUpdater.checkForUpdatesAndNotify();
-  }
+  /**
+   * Shows the error page in a view whose page failed to load, and schedules
+   * a retry. Consecutive failures double the delay, up to a maximum.
+   * @param {string} viewId - The view that failed.
+   * @param {{errorCode: number, errorDescription: string, url: string}} failure
+   */
+  _onViewLoadFailed(viewId, { errorCode, errorDescription, url }) {
+    const view = this.views.get(viewId);
+    if (!view) return;
+
+    const previous = this.failedLoads.get(viewId);
+    clearTimeout(previous?.retryTimer);
+    const attempts = (previous?.attempts ?? 0) + 1;
+    const delay = Math.min(
+      LOAD_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1),
+      LOAD_RETRY_MAX_DELAY_MS,
+    );
+    const retryUrl = url || previous?.url || this.viewConfig[viewId].url;
 
-  _getSafeView(id) {
-    if (!VALID_VIEW_IDS.has(id)) return undefined;
-    return this.views.get(id);
+    this.failedLoads.set(viewId, {
+      url: retryUrl,
+      attempts,
+      retryTimer: setTimeout(() => this._retryViewLoad(viewId), delay),
+    });
+
+    // did-finish-load never comes for the failed page
+    this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
+      serviceId: viewId,
+      loading: false,
+    });
+    view.webContents.loadFile(path.join(__dirname, LOAD_ERROR_PAGE), {
+      query: {
+        service: this.viewConfig[viewId].title,
+        code: String(errorCode),
+        description: errorDescription,
+        url: retryUrl,
+        retryIn: String(delay / 1000),
+      },
+    });
+    this._startOnlineCheck();
   }
 
-  _switchToTab(tabId) {
-    const targetView = this._getSafeView(tabId);
-    if (!targetView) return;
+  _retryViewLoad(viewId) {
+    const failure = this.failedLoads.get(viewId);
+    const view = this.views.get(viewId);
+    if (!failure || !view) return;
 
-    // Show loading state
+    clearTimeout(failure.retryTimer);
     this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
-      serviceId: tabId,
+      serviceId: viewId,
       loading: true,
     });
+    view.webContents.once("did-stop-loading", () =>
+      this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
+        serviceId: viewId,
+        loading: false,
+      }),
+    );
+    view.webContents.loadURL(failure.url);
+  }
 
-    // Lazy load view if not yet loaded
-    if (!this.loadedViews.has(tabId)) {
-      const config = Object.values(VIEW_CONFIG).find((c) => c.id === tabId);
-      if (config?.url) {
-        targetView.webContents.loadURL(config.url);
-        this.loadedViews.add(tabId);
+  _clearLoadFailure(viewId) {
+    clearTimeout(this.failedLoads.get(viewId)?.retryTimer);
+    this.failedLoads.delete(viewId);
+  }
 
-        // Hide loading state when view finishes loading
-        targetView.webContents.once("did-finish-load", () => {
-          this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
-            serviceId: tabId,
-            loading: false,
-          });
-        });
+  /**
+   * Polls connectivity while any load is failing, and retries all of them
+   * as soon as the network comes back instead of waiting for the backoff.
+   */
+  _startOnlineCheck() {
+    if (this.onlineCheckTimer) return;
+
+    let wasOnline = net.isOnline();
+    this.onlineCheckTimer = setInterval(() => {
+      if (this.failedLoads.size === 0) {
+        clearInterval(this.onlineCheckTimer);
+        this.onlineCheckTimer = null;
+        return;
       }
-    } else {
-      // Already loaded, hide loading state immediately
-      this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
-        serviceId: tabId,
-        loading: false,
-      });
-    }
 
-    const currentView = this._getSafeView(this.activeViewId);
-    if (this.activeViewId && currentView) {
-      currentView.webContents.executeJavaScript("window.blur()", true);
-    }
+      const isOnline = net.isOnline();
+      if (isOnline && !wasOnline) {
+        this.failedLoads.forEach((failure, viewId) => {
+          failure.attempts = 0;
+          this._retryViewLoad(viewId);
+        });
+      }
+      wasOnline = isOnline;
+    }, ONLINE_CHECK_INTERVAL_MS);
+  }
 
-    this.store.set("lastTab", tabId);
-    this.activeViewId = tabId;
-    this.win.contentView.addChildView(targetView);
-    targetView.webContents.focus();
+  _openTaskManager() {
+    openTaskManager(this);
+  }
 
-    // Update menu state
-    this._sendToMenu(IPC_CHANNELS.SET_ACTIVE_TAB, tabId);
+  _setHibernationTimeout(minutes) {
+    this.hibernationSettings = {
+      timeoutMinutes: Number.isFinite(minutes) && minutes > 0 ? minutes : 0,
+    };
+    this.store.set("hibernation", this.hibernationSettings);
   }
 
-  _updateUnreadCount(source, count) {
-    if (!VALID_VIEW_IDS.has(source)) return;
-    const newCount = count ?? 0;
-    if (this.unreadCounts.has(source)) {
-      this.unreadCounts.set(source, newCount);
-    }
+  /**
+   * @param {string} viewId
+   * @returns {boolean} True when the view is on screen: the active view, a
+   *   split pane or a detached window.
+   */
+  _isViewVisible(viewId) {
+    return (
+      viewId === this.activeViewId ||
+      this.detachedWindows.has(viewId) ||
+      (this._isSplitActive() && this.splitView.panes.includes(viewId))
+    );
   }
 
-  _sendToMenu(channel, data) {
-    const menuView = this.views.get(VIEW_CONFIG.MENU.id);
-    if (menuView?.webContents) {
-      menuView.webContents.send(channel, data);
-    }
+  /**
+   * @param {string} viewId
+   * @returns {"active"|"background"|"hibernated"|"unloaded"}
+   */
+  _getViewState(viewId) {
+    if (this.hibernatedViews.has(viewId)) return "hibernated";
+    if (!this.loadedViews.has(viewId)) return "unloaded";
+    return this._isViewVisible(viewId) ? "active" : "background";
   }
 
   /**
-   * Registers all IPC communication handlers between renderer and main process.
-   * Handles: tab switching, badge updates, notifications, favicon updates, and context menu.
+   * Hibernates the services that have not been on screen for longer than
+   * the configured timeout.
    */
-  _setupIpcHandlers() {
-    ipcMain.on(IPC_CHANNELS.SWITCH_TAB, (event, tabId) => {
-      this._switchToTab(tabId);
+  _checkHibernation() {
+    const now = Date.now();
+    const timeout = this.hibernationSettings.timeoutMinutes * 60 * 1000;
+
+    this.loadedViews.forEach((viewId) => {
+      if (this._isViewVisible(viewId) || !this.lastVisibleAt.has(viewId)) {
+        this.lastVisibleAt.set(viewId, now);
+      } else if (
+        timeout > 0 &&
+        now - this.lastVisibleAt.get(viewId) > timeout
+      ) {
+        this._hibernateView(viewId);
+      }
     });
+  }
 
-    ipcMain.on(IPC_CHANNELS.UPDATE_BADGE, (event, { count, source }) => {
-      this._updateUnreadCount(source, count);
-      const total = [...this.unreadCounts.values()].reduce((a, b) => a + b, 0);
-      app.setBadgeCount(total);
-      this._sendToMenu(
-        IPC_CHANNELS.UPDATE_MENU_BADGES,
-        Object.fromEntries(this.unreadCounts),
-      );
-    });
+  /**
+   * Unloads a background service to free its memory. Its badge count and
+   * sidebar icon are kept, and the page it was on is loaded again the next
+   * time it is shown (see _loadView).
+   * @param {string} viewId - The service to hibernate.
+   */
+  _hibernateView(viewId) {
+    const view = this.views.get(viewId);
+    if (!view || !this.loadedViews.has(viewId)) return;
+    if (this._isViewVisible(viewId)) return;
+
+    const url = view.webContents.getURL();
+    this.hibernatedViews.set(
+      viewId,
+      url.startsWith("https://") ? url : undefined,
+    );
+    this.loadedViews.delete(viewId);
+    this.lastVisibleAt.delete(viewId);
+    this._clearLoadFailure(viewId);
+    view.webContents.loadURL("about:blank");
+  }
+
+  /**
+   * Reloads a service, or loads it if it is hibernated or was never shown.
+   * @param {string} viewId
+   */
+  _reloadView(viewId) {
+    const view = this._getSafeView(viewId);
+    if (!view) return;
+    if (this.loadedViews.has(viewId)) {
+      view.webContents.reload();
+    } else {
+      this._loadView(viewId);
+    }
+  }
+
+  _openPreferences() {
+    openPreferences(this);
+  }
+
+  _setStartupTab(tabId) {
+    if (tabId !== "last" && !this.validViewIds.has(tabId)) return;
+    this.startupTab = tabId;
+    this.store.set("startupTab", tabId);
+  }
+
+  _setNotificationSettings({ enabled, silent }) {
+    this.notificationSettings = {
+      enabled: Boolean(enabled),
+      silent: Boolean(silent),
+    };
+    this.store.set("notifications", this.notificationSettings);
+  }
+
+  /**
+   * Registers or unregisters the app as the system's mailto: handler. On
+   * Linux, the AppImage desktop file declares the scheme (see "protocols" in
+   * package.json) and this makes it the xdg-settings default.
+   * @param {boolean} enabled
+   */
+  _setMailtoHandler(enabled) {
+    // When run unpackaged, the handler must launch electron with the app path
+    const args = process.defaultApp
+      ? [process.execPath, [path.resolve(process.argv[1])]]
+      : [];
+    if (enabled) {
+      app.setAsDefaultProtocolClient(MAILTO_PROTOCOL, ...args);
+    } else {
+      app.removeAsDefaultProtocolClient(MAILTO_PROTOCOL, ...args);
+    }
+
+    this.mailtoSettings = {
+      ...this.mailtoSettings,
+      registerAsDefault: enabled,
+    };
+    this.store.set("mailto", this.mailtoSettings);
+  }
+
+  /**
+   * @returns {object[]} The view configs that can compose mailto: messages.
+   */
+  _getMailtoTargets() {
+    return Object.values(this.viewConfig).filter((c) =>
+      MAILTO_SERVICES.includes(c.serviceId),
+    );
+  }
+
+  _setMailtoSettings({ defaultService, rules }) {
+    const targetIds = new Set(this._getMailtoTargets().map((c) => c.id));
+    const sanitizedRules = Array.isArray(rules)
+      ? rules
+          .filter(
+            (rule) =>
+              typeof rule?.pattern === "string" && targetIds.has(rule.service),
+          )
+          .map(({ pattern, service }) => ({ pattern: pattern.trim(), service }))
+      : this.mailtoSettings.rules;
+
+    this.mailtoSettings = {
+      ...this.mailtoSettings,
+      defaultService: targetIds.has(defaultService)
+        ? defaultService
+        : this.mailtoSettings.defaultService,
+      rules: sanitizedRules,
+    };
+    this.store.set("mailto", this.mailtoSettings);
+  }
+
+  /**
+   * Opens a compose window for a mailto: URL in the service chosen by the
+   * mailto rules, falling back to the default Gmail account.
+   * @param {string} url - A mailto: URL from the command line or the OS.
+   */
+  _openMailto(url) {
+    const message = parseMailtoUrl(url);
+    if (!message) {
+      console.warn(`[Mailto] Ignored invalid URL: ${url}`);
+      return;
+    }
+
+    const targetId = resolveMailtoTarget(this.mailtoSettings, message);
+    const config =
+      this.viewConfig[targetId] ?? this.viewConfig[VIEW_CONFIG.GMAIL.id];
+    this._openComposeWindow(
+      config,
+      buildComposeUrl(config.serviceId, message, url),
+    );
+  }
+
+  /**
+   * Opens a standalone window sharing the session of a mail view, so the
+   * message is written from the account signed in there.
+   * @param {object} config - The view config of the mail service.
+   * @param {string} url - The compose URL.
+   */
+  _openComposeWindow(config, url) {
+    const composeWin = new BrowserWindow({
+      ...COMPOSE_WINDOW_BOUNDS,
+      title: `New Message – ${config.title}`,
+      backgroundColor: "#202124",
+      autoHideMenuBar: true,
+      icon: path.join(__dirname, "assets/icons/png/1024x1024.png"),
+      webPreferences: {
+        partition: config.partition,
+        contextIsolation: true,
+        sandbox: true,
+      },
+    });
+
+    composeWin.webContents.setUserAgent(
+      getCleanUserAgent(composeWin.webContents.getUserAgent()),
+    );
+    composeWin.webContents.setWindowOpenHandler(({ url: targetUrl }) => {
+      shell.openExternal(targetUrl);
+      return { action: "deny" };
+    });
+    composeWin.loadURL(url);
+  }
+
+  _setLinkRules(rules) {
+    this.linkRules = sanitizeLinkRules(rules);
+    this.store.set("linkRules", this.linkRules);
+  }
+
+  /**
+   * Decides where a link opened by web content (window.open, target=_blank)
+   * goes, according to the link rules. Used as a window open handler.
+   * @param {string} sourceId - The view the link was opened from.
+   * @param {string} url - The link URL.
+   * @returns {object} The window open handler response.
+   */
+  _routeLink(sourceId, url) {
+    const action = findLinkAction(this.linkRules, url);
+
+    if (action === LINK_ACTIONS.WINDOW) {
+      // Allowing the popup keeps window.opener, which sign-in flows rely on
+      return {
+        action: "allow",
+        overrideBrowserWindowOptions: {
+          ...CHILD_WINDOW_BOUNDS,
+          autoHideMenuBar: true,
+          backgroundColor: "#202124",
+          icon: path.join(__dirname, "assets/icons/png/1024x1024.png"),
+        },
+      };
+    }
+
+    if (action === LINK_ACTIONS.SERVICE) {
+      const targetId = this._findServiceViewForUrl(sourceId, url);
+      if (targetId) {
+        this._openUrlInView(targetId, url);
+        return { action: "deny" };
+      }
+    }
+
+    shell.openExternal(url);
+    return { action: "deny" };
+  }
+
+  /**
+   * Finds the open view a URL belongs to, preferring views of the same
+   * Google account as the view the link came from.
+   * @param {string} sourceId - The view the link was opened from.
+   * @param {string} url
+   * @returns {string|undefined} The target view id.
+   */
+  _findServiceViewForUrl(sourceId, url) {
+    const sourceAccountId = this.viewConfig[sourceId]?.accountId;
+    const candidates = Object.values(this.viewConfig)
+      .filter((c) => c.isContent && this.views.has(c.id))
+      .sort(
+        (a, b) =>
+          Number(b.accountId === sourceAccountId) -
+          Number(a.accountId === sourceAccountId),
+      );
+    return findServiceForUrl(candidates, url)?.id;
+  }
+
+  /**
+   * Applies link routing to a popup allowed by _routeLink, and to popups it
+   * opens in turn. Messages from its preload are attributed to the view
+   * that opened it.
+   * @param {BrowserWindow} childWin - The popup window.
+   * @param {string} sourceId - The view that opened it.
+   */
+  _setupChildWindow(childWin, sourceId) {
+    const { webContents } = childWin;
+    this.childWindowSources.set(webContents, sourceId);
+
+    webContents.setWindowOpenHandler(({ url }) =>
+      this._routeLink(sourceId, url),
+    );
+    webContents.on("did-create-window", (grandChildWin) =>
+      this._setupChildWindow(grandChildWin, sourceId),
+    );
+    childWin.on("closed", () => this.childWindowSources.delete(webContents));
+  }
+
+  _setUpdateSettings({ autoCheck, autoDownload }) {
+    this.updateSettings = {
+      autoCheck: Boolean(autoCheck),
+      autoDownload: Boolean(autoDownload),
+    };
+    this.store.set("updates", this.updateSettings);
+    autoUpdater.autoDownload = this.updateSettings.autoDownload;
+  }
+
+  _resetZoom(viewId) {
+    if (!this.validViewIds.has(viewId)) return;
+    delete this.zoomLevels[viewId];
+    this.store.set("zoomLevels", this.zoomLevels);
+    this.views.get(viewId)?.webContents.setZoomFactor(1);
+  }
+
+  _resetWindowBounds() {
+    this.win.setBounds(DEFAULT_WINDOW_BOUNDS);
+    this.win.center();
+    this.store.set("windowBounds", this.win.getBounds());
+  }
+
+  _updateTray() {
+    updateTray(this.tray, this);
+  }
+
+  _getTotalUnreadCount() {
+    return [...this.unreadCounts.values()].reduce((a, b) => a + b, 0);
+  }
+
+  /**
+   * Applies the security policy, downloads, spellchecking and proxy settings
+   * to a session the first time it is used. Several views may share one
+   * session.
+   * @param {Electron.Session} ses
+   * @param {string} group - One of SESSION_GROUPS.
+   */
+  _setupSession(ses, group) {
+    if (this.sessionGroups.has(ses)) return;
+
+    this.sessionGroups.set(ses, group);
+    this._setupSessionSecurity(ses);
+    this._setupDownloads(ses);
+    this.spellChecker.attach(ses, group);
+    this._applyProxy(ses);
+    // A response to a challenged request means the proxy took the credentials
+    ses.webRequest.onResponseStarted((details) => {
+      if (details.statusCode !== 407) confirmProxyLogin(this, details.url);
+    });
+  }
+
+  /**
+   * Enforces the `security` policy of VIEW_CONFIG in a session. Requests
+   * are attributed to the view (or popup of a view) that made them; other
+   * web contents sharing the session get no permissions and no header
+   * changes. Permissions are granted as the user decided in a prompt, see
+   * permissions.js. The check handler only refuses those permissions once
+   * the user denied them: pages such as Gmail or Meet read e.g.
+   * `Notification.permission` before ever requesting, and would otherwise
+   * never get to the prompt.
+   * @param {Electron.Session} ses
+   */
+  _setupSessionSecurity(ses) {
+    ses.setPermissionRequestHandler(
+      async (webContents, permission, callback, details) => {
+        const context = this._getPermissionContext(
+          webContents,
+          permission,
+          details.requestingUrl || webContents.getURL(),
+        );
+        const permissions = toPermissionTypes(permission, details.mediaTypes);
+        if (!context || permissions.length === 0) return callback(false);
+
+        callback(await this._requestPermissions(context, permissions));
+      },
+    );
+
+    ses.setPermissionCheckHandler(
+      (webContents, permission, requestingOrigin, details) => {
+        const permissions = toPermissionTypes(permission, [details.mediaType]);
+        // Other checks (e.g. storage access, or media of an "unknown" type
+        // for device enumeration) keep Electron's default
+        if (permissions.length === 0) return true;
+
+        const context = this._getPermissionContext(
+          webContents,
+          permission,
+          requestingOrigin,
+        );
+        return (
+          Boolean(context) &&
+          !permissions.some(
+            (p) =>
+              this.permissionManager.getDecision(
+                context.partition,
+                context.origin,
+                p,
+              ) === false,
+          )
+        );
+      },
+    );
+
+    ses.webRequest.onHeadersReceived((details, callback) => {
+      const security =
+        details.resourceType === "subFrame" && details.webContents
+          ? this._getSecurityPolicy(details.webContents)
+          : null;
+      if (!security || !isOriginAllowed(details.url, security.frameHosts)) {
+        callback({});
+        return;
+      }
+      callback({
+        responseHeaders: stripFrameBlockingHeaders(details.responseHeaders),
+      });
+    });
+  }
+
+  /**
+   * Identifies who asks for a permission: the view the web contents belong
+   * to, its session partition and the requesting origin.
+   * @param {Electron.WebContents|null} webContents
+   * @param {string} permission - As given to the permission handlers.
+   * @param {string} url - The requesting URL or origin.
+   * @returns {{config: object, partition: string, origin: string}|null}
+   *   Null when the request is refused outright: it does not come from a
+   *   view, or asks for notifications outside the view's notificationOrigins.
+   */
+  _getPermissionContext(webContents, permission, url) {
+    const viewId = webContents
+      ? this._getViewIdByWebContents(webContents)
+      : null;
+    const config = viewId ? this.viewConfig[viewId] : undefined;
+    if (!config?.security || !URL.canParse(url)) return null;
+
+    if (
+      permission === "notifications" &&
+      !isOriginAllowed(url, config.security.notificationOrigins)
+    ) {
+      return null;
+    }
+
+    return {
+      config,
+      partition: config.partition ?? DEFAULT_PARTITION,
+      origin: new URL(url).origin,
+    };
+  }
+
+  /**
+   * Grants permissions the user allowed before, and prompts for the ones
+   * not decided yet. Any blocked permission refuses the whole request.
+   * @param {{config: object, partition: string, origin: string}} context
+   *   - See _getPermissionContext().
+   * @param {string[]} permissions - PERMISSION_TYPES values asked together.
+   * @returns {Promise<boolean>}
+   */
+  async _requestPermissions({ config, partition, origin }, permissions) {
+    const decisions = permissions.map((p) =>
+      this.permissionManager.getDecision(partition, origin, p),
+    );
+    if (decisions.includes(false)) return false;
+
+    const undecided = permissions.filter((p, i) => decisions[i] === undefined);
+    if (undecided.length === 0) return true;
+
+    const answer = await promptPermission(this, {
+      service: config.title,
+      origin,
+      partition,
+      permissions: undecided,
+    });
+    // Dismissing the prompt refuses this request only
+    if (!answer) return false;
+
+    undecided.forEach((permission) =>
+      this.permissionManager.setDecision(
+        {
+          partition,
+          origin,
+          permission,
+          allowed: answer.allowed,
+          service: config.title,
+        },
+        answer.remember,
+      ),
+    );
+    return answer.allowed;
+  }
+
+  /**
+   * @param {Electron.WebContents} webContents
+   * @returns {object|undefined} The security policy of the view the web
+   *   contents belong to.
+   */
+  _getSecurityPolicy(webContents) {
+    const viewId = this._getViewIdByWebContents(webContents);
+    return viewId ? this.viewConfig[viewId]?.security : undefined;
+  }
+
+  /**
+   * Keeps a content view on its service: top-level navigations outside its
+   * allowed origins are cancelled and opened in the browser instead, or in
+   * a compose window for mailto: links. Other schemes are blocked.
+   *
+   * Single sign-on is the exception: a redirect during a navigation that
+   * started on an allowed origin may leave them (e.g. to a SAML or OAuth
+   * identity provider), and the pages reached that way may navigate freely
+   * until the flow returns to the service.
+   * @param {string} viewId
+   * @param {Electron.Event & {url: string}} event - A "will-navigate" or
+   *   main frame "will-redirect" event.
+   * @param {string} [navigationStartUrl] - For redirects, where the
+   *   navigation started.
+   */
+  _guardNavigation(viewId, event, navigationStartUrl) {
+    const config = this.viewConfig[viewId];
+    const allowedOrigins = [
+      new URL(config.url).origin,
+      ...(config.security?.allowedOrigins ?? []),
+    ];
+    if (isOriginAllowed(event.url, allowedOrigins)) return;
+
+    const isHttp = (url) => /^https?:/i.test(url ?? "");
+    const currentUrl = this.views.get(viewId)?.webContents.getURL();
+    const isSignInFlow =
+      (Boolean(navigationStartUrl) &&
+        isOriginAllowed(navigationStartUrl, allowedOrigins)) ||
+      (isHttp(currentUrl) && !isOriginAllowed(currentUrl, allowedOrigins));
+    if (isHttp(event.url) && isSignInFlow) return;
+
+    event.preventDefault();
+    if (event.url.toLowerCase().startsWith(`${MAILTO_PROTOCOL}:`)) {
+      this._openMailto(event.url);
+    } else if (/^https?:/i.test(event.url)) {
+      shell.openExternal(event.url);
+    } else {
+      console.warn(`[Security] Blocked navigation of ${viewId}:`, event.url);
+    }
+  }
+
+  async _applyProxy(ses) {
+    const settings = this.proxySettings[this.sessionGroups.get(ses)];
+    try {
+      await ses.setProxy(toProxyConfig(settings));
+      // Open sockets would keep going through the previous proxy
+      await ses.closeAllConnections();
+    } catch (error) {
+      console.error("[Proxy] Failed to apply settings:", error.message);
+    }
+  }
+
+  /**
+   * @param {string} group - One of SESSION_GROUPS.
+   * @param {object} settings - See sanitizeProxySettings() in proxy.js.
+   */
+  _setProxySettings(group, settings) {
+    if (!Object.hasOwn(this.proxySettings, group)) return;
+
+    this.proxySettings = {
+      ...this.proxySettings,
+      [group]: sanitizeProxySettings(settings),
+    };
+    this.store.set("proxy", this.proxySettings);
+    this.sessionGroups.forEach((sessionGroup, ses) => {
+      if (sessionGroup === group) this._applyProxy(ses);
+    });
+  }
+
+  /**
+   * Creates BrowserView instances for all enabled services.
+   * Each view is isolated with its own preload script and security settings.
+   * Handles user-agent spoofing for better compatibility.
+   * @throws {Error} Critical error if preload validation fails (security)
+   */
+  _createViews() {
+    Object.values(this.viewConfig).forEach((config) =>
+      this._createView(config),
+    );
+  }
+
+  /**
+   * Creates the view for a single registry entry and registers it in
+   * `this.views`. Disabled content services are skipped.
+   * @param {object} config - A view registry entry.
+   * @returns {WebContentsView|undefined} The created view, if any.
+   */
+  _createView(config) {
+    try {
+      // 1. Security Check
+      if (!VALID_PRELOADS.has(config.preload)) {
+        throw new Error(`[Security] Invalid preload: ${config.preload}`);
+      }
+
+      // 2. Skip Disabled Services
+      if (config.isContent && !this.enabledServices[config.id]) {
+        return undefined;
+      }
+
+      const isContent = config.isContent;
+      const webPreferences = {
+        preload: path.join(__dirname, config.preload),
+        contextIsolation: true,
+        sandbox: isContent,
+        nodeIntegration: !isContent,
+        backgroundThrottling: false,
+      };
+
+      if (config.partition) {
+        webPreferences.partition = config.partition;
+      }
+      if (config.adapter) {
+        const adapter = {
+          ...config.adapter,
+          origins: [
+            new URL(config.url).origin,
+            ...(config.adapter.origins ?? []),
+          ],
+        };
+        webPreferences.additionalArguments = [
+          `${SERVICE_ADAPTER_ARGUMENT}${JSON.stringify(adapter)}`,
+        ];
+      }
+
+      const view = new WebContentsView({ webPreferences });
+      view.setBackgroundColor("#00000000");
+
+      if (isContent) {
+        this.unreadCounts.set(config.id, 0);
+        this._setupSession(
+          view.webContents.session,
+          config.partition === "persist:proton"
+            ? SESSION_GROUPS.PROTON
+            : SESSION_GROUPS.GOOGLE,
+        );
+
+        view.webContents.setUserAgent(
+          getCleanUserAgent(view.webContents.getUserAgent()),
+        );
+
+        contextMenu({
+          window: view,
+          showInspectElement: true,
+          showSaveImageAs: false,
+          showCopyImageAddress: false,
+          // Replaced by an entry that also saves the word in the store
+          showLearnSpelling: false,
+          prepend: (defaultActions, params) => [
+            {
+              label: "Add to Dictionary",
+              visible: Boolean(params.isEditable && params.misspelledWord),
+              click: () => {
+                this.spellChecker.addWord(params.misspelledWord);
+                notifyPreferencesChanged(this);
+              },
+            },
+          ],
+          append: (defaultActions, params) => [
+            {
+              label: "Open in Browser",
+              visible: params.linkURL || params.pageURL,
+              click: () => {
+                const url = params.linkURL || params.pageURL;
+                if (url) shell.openExternal(url);
+              },
+            },
+          ],
+        });
+        view.webContents.setWindowOpenHandler(({ url }) =>
+          this._routeLink(config.id, url),
+        );
+        view.webContents.on("did-create-window", (childWin) =>
+          this._setupChildWindow(childWin, config.id),
+        );
+
+        // Redirects are judged by where their navigation started
+        let navigationStartUrl = config.url;
+        view.webContents.on("did-start-navigation", (details) => {
+          if (details.isMainFrame && !details.isSameDocument) {
+            navigationStartUrl = details.url;
+          }
+        });
+        view.webContents.on("will-navigate", (event) =>
+          this._guardNavigation(config.id, event),
+        );
+        view.webContents.on("will-redirect", (event) => {
+          if (event.isMainFrame) {
+            this._guardNavigation(config.id, event, navigationStartUrl);
+          }
+        });
+
+        // In split view, the focused pane becomes the active view
+        view.webContents.on("focus", () => this._onPaneFocused(config.id));
+
+        // Replace failed page loads with an error page, and retry them
+        view.webContents.on(
+          "did-fail-load",
+          (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+            if (!isMainFrame || errorCode === ERR_ABORTED) return;
+            this._onViewLoadFailed(config.id, {
+              errorCode,
+              errorDescription,
+              url: validatedURL,
+            });
+          },
+        );
+        view.webContents.on("did-finish-load", () => {
+          if (!view.webContents.getURL().startsWith("file:")) {
+            this._clearLoadFailure(config.id);
+          }
+        });
+
+        // Restore saved zoom level
+        view.webContents.on("did-finish-load", () => {
+          const savedZoom = this.zoomLevels[config.id];
+          if (savedZoom !== undefined) {
+            view.webContents.setZoomFactor(savedZoom);
+          }
+        });
+
+        // Save zoom level changes
+        view.webContents.on("zoom-changed", (event, zoomDirection) => {
+          const currentZoom = view.webContents.getZoomFactor();
+          const newZoom =
+            zoomDirection === "in"
+              ? Math.min(currentZoom + 0.1, 3.0)
+              : Math.max(currentZoom - 0.1, 0.5);
+          view.webContents.setZoomFactor(newZoom);
+          this.zoomLevels[config.id] = newZoom;
+          this.store.set("zoomLevels", this.zoomLevels);
+          notifyPreferencesChanged(this);
+        });
+
+        // Remember visited pages for the command palette
+        const rememberPage = () =>
+          this._rememberPage(
+            config.id,
+            view.webContents.getURL(),
+            view.webContents.getTitle(),
+          );
+        view.webContents.on("did-navigate", rememberPage);
+        view.webContents.on("did-navigate-in-page", rememberPage);
+        view.webContents.on("page-title-updated", rememberPage);
+      }
+
+      this.views.set(config.id, view);
+      return view;
+    } catch (error) {
+      console.error(
+        `[MainWindow] Failed to create view "${config.id}":`,
+        error.message,
+      );
+      // Continue with other views instead of crashing
+      return undefined;
+    }
+  }
+
+  _attachViews() {
+    this.views.forEach((view) => this.win.contentView.addChildView(view));
+  }
+
+  /**
+   * Creates and attaches a view after startup. The view is inserted below the
+   * active one so the current tab stays on screen until the user switches.
+   * @param {object} config - A view registry entry.
+   */
+  _attachNewView(config) {
+    const view = this._createView(config);
+    if (!view) return;
+
+    this.win.contentView.addChildView(view);
+    const activeView = this.views.get(this.activeViewId);
+    if (activeView) {
+      this.win.contentView.addChildView(activeView);
+    }
+    this._layoutViews();
+  }
+
+  /**
+   * Detaches and destroys a view, dropping all its runtime state. If it was
+   * the active tab, the first remaining service of the account takes over.
+   * @param {string} viewId - The id of the view to destroy.
+   */
+  _destroyView(viewId) {
+    const view = this.views.get(viewId);
+    if (!view || viewId === VIEW_CONFIG.MENU.id) return;
+
+    this.views.delete(viewId);
+    this.unreadCounts.delete(viewId);
+    this.loadedViews.delete(viewId);
+    this.recentPages.delete(viewId);
+    this.hibernatedViews.delete(viewId);
+    this.lastVisibleAt.delete(viewId);
+    this._clearLoadFailure(viewId);
+    if (this.splitView.panes?.includes(viewId)) this._exitSplitView();
+    this._destroyDetachedWindow(viewId);
+    this.win.contentView.removeChildView(view);
+    view.webContents.close();
+
+    if (this.activeViewId === viewId) {
+      this.activeViewId = null;
+      const fallbackId = this._getFirstAvailableViewId();
+      if (fallbackId) this._switchToTab(fallbackId);
+    }
+  }
+
+  /**
+   * Enables or disables a content service without relaunching the app.
+   * @param {string} serviceId - The view id of the service.
+   * @param {boolean} enabled - The new state.
+   */
+  _setServiceEnabled(serviceId, enabled) {
+    const config = this.viewConfig[serviceId];
+    if (!config?.isContent) return;
+
+    this.enabledServices[serviceId] = enabled;
+    this.store.set("services", this.enabledServices);
+
+    if (enabled) {
+      this._attachNewView(config);
+      if (!this.activeViewId) this._switchToTab(serviceId);
+    } else {
+      this._destroyView(serviceId);
+    }
+
+    this._rebuildMenus();
+    this._publishUnreadCounts();
+  }
+
+  _layoutViews() {
+    if (!this.win) return;
+    const bounds = this.win.getBounds();
+
+    const menuView = this.views.get(VIEW_CONFIG.MENU.id);
+    if (menuView) {
+      menuView.setBounds({
+        x: 0,
+        y: 0,
+        width: LAYOUT_CONSTANTS.MENU_WIDTH,
+        height: bounds.height,
+      });
+    }
+
+    const contentBounds = {
+      x: LAYOUT_CONSTANTS.MENU_WIDTH,
+      y: 0,
+      width: bounds.width - LAYOUT_CONSTANTS.MENU_WIDTH,
+      height: bounds.height,
+    };
+
+    this.views.forEach((view, id) => {
+      if (id !== VIEW_CONFIG.MENU.id && !this.detachedWindows.has(id)) {
+        view.setBounds(contentBounds);
+      }
+    });
+
+    if (this._isSplitActive()) this._layoutSplitView(contentBounds);
+
+    if (this.panelView) {
+      this.panelView.setBounds(this._getPanelBounds(contentBounds));
+    }
+  }
+
+  /**
+   * Divides the content area between the two panes and the divider. While
+   * the divider is dragged, it covers the whole area to keep receiving
+   * pointer events.
+   */
+  _layoutSplitView(contentBounds) {
+    const { panes, orientation, ratio } = this.splitView;
+    const isHorizontal = orientation === SPLIT_ORIENTATIONS.HORIZONTAL;
+    const dividerSize = LAYOUT_CONSTANTS.SPLIT_DIVIDER_SIZE;
+    const total = isHorizontal ? contentBounds.width : contentBounds.height;
+    const available = Math.max(total - dividerSize, 0);
+    const first = Math.round(available * ratio);
+
+    const boundsAt = (offset, size) =>
+      isHorizontal
+        ? { ...contentBounds, x: contentBounds.x + offset, width: size }
+        : { ...contentBounds, y: contentBounds.y + offset, height: size };
+
+    this.views.get(panes[0]).setBounds(boundsAt(0, first));
+    this.views
+      .get(panes[1])
+      .setBounds(boundsAt(first + dividerSize, available - first));
+    this.dividerView?.setBounds(
+      this.isDraggingDivider ? contentBounds : boundsAt(first, dividerSize),
+    );
+  }
+
+  _getPanelBounds(contentBounds) {
+    if (PANEL_CONFIG[this.activePanel]?.layout !== "centered") {
+      return {
+        ...contentBounds,
+        width: Math.min(LAYOUT_CONSTANTS.PANEL_WIDTH, contentBounds.width),
+      };
+    }
+
+    const width = Math.min(
+      LAYOUT_CONSTANTS.PALETTE_WIDTH,
+      Math.max(contentBounds.width - 40, 0),
+    );
+    const y = Math.min(
+      LAYOUT_CONSTANTS.PALETTE_TOP,
+      Math.floor(contentBounds.height / 10),
+    );
+    return {
+      x: contentBounds.x + Math.floor((contentBounds.width - width) / 2),
+      y,
+      width,
+      height: Math.min(
+        LAYOUT_CONSTANTS.PALETTE_HEIGHT,
+        Math.max(contentBounds.height - y, 0),
+      ),
+    };
+  }
+
+  _togglePanel(name) {
+    if (this.activePanel === name) {
+      this._closePanel();
+    } else {
+      this._openPanel(name);
+    }
+  }
+
+  /**
+   * Shows an overlay panel on top of the active view. Only one panel is open
+   * at a time; opening another replaces it.
+   * @param {string} name - A key of PANEL_CONFIG.
+   */
+  _openPanel(name) {
+    const config = PANEL_CONFIG[name];
+    if (!config) return;
+
+    this._closePanel();
+
+    this.panelView = new WebContentsView({
+      webPreferences: {
+        preload: path.join(__dirname, PANEL_PRELOAD),
+        contextIsolation: true,
+        sandbox: true,
+      },
+    });
+    this.panelView.setBackgroundColor("#00000000");
+    this.activePanel = name;
+    this.win.contentView.addChildView(this.panelView);
+    this._layoutViews();
+
+    if (config.closeOnBlur) {
+      const panelView = this.panelView;
+      panelView.webContents.on("blur", () => {
+        if (this.panelView === panelView) this._closePanel();
+      });
+    }
+
+    this.panelView.webContents.loadFile(path.join(__dirname, config.file));
+    this.panelView.webContents.focus();
+  }
+
+  _closePanel() {
+    if (!this.panelView) return;
+
+    this.win.contentView.removeChildView(this.panelView);
+    this.panelView.webContents.close();
+    this.panelView = null;
+    this.activePanel = null;
+    this.paletteActions.clear();
+
+    this.views.get(this.activeViewId)?.webContents.focus();
+  }
+
+  _sendToPanel(name, channel, data) {
+    if (this.activePanel !== name) return;
+    this.panelView?.webContents.send(channel, data);
+  }
+
+  _isFromPanel(event) {
+    return (
+      Boolean(this.panelView) && event.sender === this.panelView.webContents
+    );
+  }
+
+  /**
+   * Records a visited page of a content view, most recent first. Title
+   * updates of the current page replace its entry instead of adding one.
+   * @param {string} viewId - The view that navigated.
+   * @param {string} url - The page URL.
+   * @param {string} title - The page title, if known yet.
+   */
+  _rememberPage(viewId, url, title) {
+    if (!url?.startsWith("https://")) return;
+
+    const pages = (this.recentPages.get(viewId) ?? []).filter(
+      (page) => page.url !== url,
+    );
+    pages.unshift({ url, title });
+    this.recentPages.set(viewId, pages.slice(0, MAX_RECENT_PAGES));
+  }
+
+  /**
+   * Switches to a view and loads a URL in it.
+   * @param {string} viewId - The target view.
+   * @param {string} url - A previously visited page of that view.
+   */
+  _openUrlInView(viewId, url) {
+    const view = this._getSafeView(viewId);
+    if (!view) return;
+
+    // Mark the view as loaded so switching to it does not load its home page
+    this.loadedViews.add(viewId);
+    this.hibernatedViews.delete(viewId);
+    this._switchToTab(viewId);
+    view.webContents.loadURL(url);
+  }
+
+  /**
+   * Builds the command palette items and keeps their actions until the
+   * palette closes or asks again.
+   * @returns {object[]} Serializable items for command-palette.html.
+   */
+  _getPaletteItems() {
+    const { items, actions } = buildPaletteEntries(this);
+    this.paletteActions = actions;
+    return items;
+  }
+
+  _executePaletteItem(itemId) {
+    const action = this.paletteActions.get(itemId);
+    this._closePanel();
+    action?.();
+  }
+
+  _isSplitActive() {
+    const { panes } = this.splitView;
+    return Boolean(panes) && panes.every((id) => this.views.has(id));
+  }
+
+  _saveSplitView() {
+    this.store.set("splitView", this.splitView);
+  }
+
+  /**
+   * Shows a service next to the active one. When already split, it replaces
+   * the pane that is not focused.
+   * @param {string} viewId - The service to show in the second pane.
+   */
+  _openSplitView(viewId) {
+    if (!this._getSafeView(viewId) || !this.activeViewId) return;
+    if (viewId === this.activeViewId || this.detachedWindows.has(viewId)) {
+      return;
+    }
+
+    this.splitView = { ...this.splitView, panes: [this.activeViewId, viewId] };
+    this._saveSplitView();
+    this._showSplitPanes();
+    Menu.setApplicationMenu(createMenu(this));
+  }
+
+  _exitSplitView() {
+    if (!this.splitView.panes) return;
+
+    this.splitView = { ...this.splitView, panes: null };
+    this._saveSplitView();
+    this._destroyDivider();
+    this._layoutViews();
+
+    const activeView = this.views.get(this.activeViewId);
+    if (activeView) this.win.contentView.addChildView(activeView);
+    Menu.setApplicationMenu(createMenu(this));
+  }
+
+  _swapSplitPanes() {
+    if (!this._isSplitActive()) return;
+    const [first, second] = this.splitView.panes;
+    this.splitView = { ...this.splitView, panes: [second, first] };
+    this._saveSplitView();
+    this._layoutViews();
+  }
+
+  _setSplitOrientation(orientation) {
+    if (!Object.values(SPLIT_ORIENTATIONS).includes(orientation)) return;
+    this.splitView = { ...this.splitView, orientation };
+    this._saveSplitView();
+
+    if (this._isSplitActive()) {
+      // The divider page picks its cursor from the orientation
+      this._destroyDivider();
+      this._showSplitPanes();
+    }
+    Menu.setApplicationMenu(createMenu(this));
+  }
+
+  /**
+   * Loads both panes if needed and stacks them, then the divider, above the
+   * other views.
+   */
+  _showSplitPanes() {
+    if (!this._isSplitActive()) return;
+
+    this.splitView.panes.forEach((id) => {
+      this._loadView(id);
+      this.win.contentView.addChildView(this.views.get(id));
+    });
+
+    if (!this.dividerView) {
+      this.dividerView = new WebContentsView({
+        webPreferences: {
+          preload: path.join(__dirname, SPLIT_DIVIDER_PRELOAD),
+          contextIsolation: true,
+          sandbox: true,
+        },
+      });
+      this.dividerView.setBackgroundColor("#00000000");
+      this.dividerView.webContents.loadFile(
+        path.join(__dirname, "split-divider.html"),
+        { query: { orientation: this.splitView.orientation } },
+      );
+    }
+    this.win.contentView.addChildView(this.dividerView);
+    this._layoutViews();
+  }
+
+  _destroyDivider() {
+    if (!this.dividerView) return;
+    this.win.contentView.removeChildView(this.dividerView);
+    this.dividerView.webContents.close();
+    this.dividerView = null;
+    this.isDraggingDivider = false;
+  }
+
+  _isFromDivider(event) {
+    return (
+      Boolean(this.dividerView) && event.sender === this.dividerView.webContents
+    );
+  }
+
+  /**
+   * Moves the divider to a point given relative to the content area.
+   * @param {{x: number, y: number}} point
+   */
+  _dragDivider({ x, y }) {
+    if (!this._isSplitActive() || !this.isDraggingDivider) return;
+
+    const isHorizontal =
+      this.splitView.orientation === SPLIT_ORIENTATIONS.HORIZONTAL;
+    const { width, height } = this.win.getBounds();
+    const total = isHorizontal ? width - LAYOUT_CONSTANTS.MENU_WIDTH : height;
+    const available = total - LAYOUT_CONSTANTS.SPLIT_DIVIDER_SIZE;
+    const position = isHorizontal ? x : y;
+    if (available <= 0 || !Number.isFinite(position)) return;
+
+    const ratio = Math.min(
+      LAYOUT_CONSTANTS.SPLIT_MAX_RATIO,
+      Math.max(
+        LAYOUT_CONSTANTS.SPLIT_MIN_RATIO,
+        (position - LAYOUT_CONSTANTS.SPLIT_DIVIDER_SIZE / 2) / available,
+      ),
+    );
+    this.splitView = { ...this.splitView, ratio };
+    this._layoutViews();
+  }
+
+  /**
+   * Makes a focused split pane the active view, blurring the other pane the
+   * same way switching tabs blurs the previous view.
+   * @param {string} viewId - The view that received focus.
+   */
+  _onPaneFocused(viewId) {
+    if (!this._isSplitActive() || viewId === this.activeViewId) return;
+    if (!this.splitView.panes.includes(viewId)) return;
+
+    this.views
+      .get(this.activeViewId)
+      ?.webContents.executeJavaScript("window.blur()", true);
+    this.activeViewId = viewId;
+    this.store.set("lastTab", viewId);
+    this._sendToMenu(IPC_CHANNELS.SET_ACTIVE_TAB, viewId);
+  }
+
+  /**
+   * Moves a service's view into its own window, keeping its page and state.
+   * The view is docked back into the main window when that window closes.
+   * @param {string} viewId - The service to detach.
+   */
+  _detachView(viewId) {
+    const view = this._getSafeView(viewId);
+    if (!view) return;
+    if (this.detachedWindows.has(viewId)) {
+      this._showDetachedWindow(viewId);
+      return;
+    }
+
+    if (this.splitView.panes?.includes(viewId)) this._exitSplitView();
+    this.win.contentView.removeChildView(view);
+    this._loadView(viewId);
+
+    const savedBounds = this.store.get("detachedWindowBounds", {});
+    const detachedWin = new BrowserWindow({
+      ...(savedBounds[viewId] ?? DETACHED_WINDOW_BOUNDS),
+      minWidth: 400,
+      minHeight: 300,
+      title: this.viewConfig[viewId].title,
+      backgroundColor: "#202124",
+      icon: path.join(__dirname, "assets/icons/png/1024x1024.png"),
+    });
+    detachedWin.removeMenu();
+    detachedWin.contentView.addChildView(view);
+    this.detachedWindows.set(viewId, detachedWin);
+
+    const layout = () => {
+      const [width, height] = detachedWin.getContentSize();
+      view.setBounds({ x: 0, y: 0, width, height });
+    };
+    layout();
+    detachedWin.on("resize", layout);
+
+    const saveBounds = () =>
+      this.store.set("detachedWindowBounds", {
+        ...this.store.get("detachedWindowBounds", {}),
+        [viewId]: detachedWin.getBounds(),
+      });
+    detachedWin.on("resized", saveBounds);
+    detachedWin.on("moved", saveBounds);
+
+    detachedWin.on("focus", () => view.webContents.focus());
+    detachedWin.on("close", () => {
+      detachedWin.contentView.removeChildView(view);
+      this._dockView(viewId);
+    });
+
+    // The main window shows another service meanwhile
+    if (this.activeViewId === viewId) {
+      this.activeViewId = null;
+      const fallbackId = this._getFirstAvailableViewId();
+      if (fallbackId) this._switchToTab(fallbackId);
+    }
+    view.webContents.focus();
+  }
+
+  /**
+   * Puts a detached view back into the main window, below the active view.
+   * @param {string} viewId - The detached service.
+   */
+  _dockView(viewId) {
+    if (!this.detachedWindows.delete(viewId)) return;
+    const view = this.views.get(viewId);
+    if (!view || !this.win || this.win.isDestroyed()) return;
+
+    this.win.contentView.addChildView(view);
+    const activeView = this.views.get(this.activeViewId);
+    if (activeView) {
+      this.win.contentView.addChildView(activeView);
+    } else {
+      this._switchToTab(viewId);
+    }
+    this._showSplitPanes();
+    this._layoutViews();
+  }
+
+  _showDetachedWindow(viewId) {
+    const detachedWin = this.detachedWindows.get(viewId);
+    if (detachedWin.isMinimized()) detachedWin.restore();
+    detachedWin.show();
+    detachedWin.focus();
+  }
+
+  /**
+   * Closes a detached window without docking its view, e.g. when the
+   * service is disabled.
+   */
+  _destroyDetachedWindow(viewId) {
+    const detachedWin = this.detachedWindows.get(viewId);
+    if (!detachedWin) return;
+    this.detachedWindows.delete(viewId);
+    detachedWin.contentView.removeChildView(this.views.get(viewId));
+    detachedWin.destroy();
+  }
+
+  _loadInitialContent() {
+    const menuView = this.views.get(VIEW_CONFIG.MENU.id);
+    if (!menuView) return;
+
+    // Always load menu view
+    menuView.webContents.loadFile(path.join(__dirname, "menu.html"));
+
+    // Determine initial active tab
+    let lastTabId =
+      this.startupTab === "last"
+        ? this.store.get("lastTab", VIEW_CONFIG.DRIVE.id)
+        : this.startupTab;
+
+    if (
+      !this._getSafeView(lastTabId) ||
+      !this._isInActiveAccount(this.viewConfig[lastTabId])
+    ) {
+      lastTabId = this._getFirstAvailableViewId();
+    }
+
+    // Load only the active view initially (lazy loading)
+    if (lastTabId) {
+      const targetView = this._getSafeView(lastTabId);
+      if (targetView) {
+        const config = this.viewConfig[lastTabId];
+        if (config?.url) {
+          targetView.webContents.loadURL(config.url);
+          this.loadedViews.add(lastTabId);
+        }
+        this.activeViewId = lastTabId;
+        this.win.contentView.addChildView(targetView);
+      }
+    }
+
+    // Restore the split view if both panes are still available
+    if (this.splitView.panes?.includes(this.activeViewId)) {
+      this._showSplitPanes();
+    }
+
+    menuView.webContents.on("did-finish-load", () => this._refreshMenu());
+  }
+
+  /**
+   * Sends the current sidebar model (services, accounts, active tab) to the
+   * menu view, which rebuilds itself from scratch.
+   */
+  _refreshMenu() {
+    this._sendToMenu(IPC_CHANNELS.GET_ENABLED_SERVICES, {
+      activeId: this.activeViewId,
+      services: this.enabledServices,
+      config: this.viewConfig,
+      groups: this._getServiceGroups(),
+      accounts: this.accounts,
+      activeAccountId: this.activeAccountId,
+    });
+    this._sendToMenu(
+      IPC_CHANNELS.UPDATE_MENU_BADGES,
+      Object.fromEntries(this.unreadCounts),
+    );
+    this._sendToMenu(
+      IPC_CHANNELS.UPDATE_HISTORY_BADGE,
+      this.notificationHistory.getUnreadCount(),
+    );
+    this._sendDownloadProgress();
+  }
+
+  _getFirstAvailableViewId() {
+    const firstAvailable = this._getOrderedServices().find(
+      (c) => this.views.has(c.id) && !this.detachedWindows.has(c.id),
+    );
+    return firstAvailable?.id || null;
+  }
+
+  /**
+   * Returns the active account's content services in display order: by
+   * group first, then by the user's persisted order. This single ordering
+   * drives the sidebar, the service accelerators and the context menu.
+   * @returns {object[]} Ordered view registry entries, enabled or not.
+   */
+  _getOrderedServices() {
+    const groupIndex = (config) =>
+      SERVICE_GROUPS.findIndex((g) => g.id === config.provider);
+    const orderIndex = (config) => {
+      const index = this.serviceOrder.indexOf(config.serviceId);
+      return index === -1 ? this.serviceOrder.length : index;
+    };
+
+    return Object.values(this.viewConfig)
+      .filter((c) => c.isContent && this._isInActiveAccount(c))
+      .sort(
+        (a, b) =>
+          groupIndex(a) - groupIndex(b) || orderIndex(a) - orderIndex(b),
+      );
+  }
+
+  /**
+   * Splits the enabled services into the sidebar groups, dropping empty ones.
+   * @returns {{id: string, title: string, alignBottom?: boolean, serviceIds: string[]}[]}
+   */
+  _getServiceGroups() {
+    const enabled = this._getOrderedServices().filter(
+      (c) => this.enabledServices[c.id],
+    );
+    return SERVICE_GROUPS.map((group) => ({
+      ...group,
+      serviceIds: enabled
+        .filter((c) => c.provider === group.id)
+        .map((c) => c.id),
+    })).filter((group) => group.serviceIds.length > 0);
+  }
+
+  /**
+   * Persists a new sidebar order coming from drag and drop. Services that
+   * were not part of it (e.g. disabled ones) keep their relative order after
+   * the reordered ones.
+   * @param {string[]} viewIds - View ids in their new display order.
+   */
+  _reorderServices(viewIds) {
+    if (!Array.isArray(viewIds)) return;
+
+    const serviceIds = viewIds
+      .filter((id) => this.validViewIds.has(id))
+      .map((id) => this.viewConfig[id].serviceId);
+
+    this.serviceOrder = [
+      ...serviceIds,
+      ...this.serviceOrder.filter((id) => !serviceIds.includes(id)),
+    ];
+    this.store.set("serviceOrder", this.serviceOrder);
+    this._rebuildMenus();
+  }
+
+  _setupAutoUpdater() {
+    autoUpdater.logger = console;
+    autoUpdater.autoDownload = this.updateSettings.autoDownload;
+    if (this.updateSettings.autoCheck) {
+      this._checkForUpdates();
+    }
+  }
+
+  _checkForUpdates() {
+    autoUpdater.checkForUpdatesAndNotify().catch((e) => {
+      console.error("[AutoUpdater] Update check failed:", e.message);
+    });
+  }
+
+  _getSafeView(id) {
+    if (!this.validViewIds.has(id)) return undefined;
+    return this.views.get(id);
+  }
+
+  _getViewIdByWebContents(webContents) {
+    for (const [id, view] of this.views) {
+      if (view.webContents === webContents) return id;
+    }
+    return this.childWindowSources.get(webContents) ?? null;
+  }
+
+  /**
+   * Maps a service id reported by a renderer (e.g. "gmail") to the view id of
+   * the account that sent it. Preloads only know which service they run in,
+   * not which account, so the sender is the source of truth. When no id is
+   * reported, the sender's own view id is used.
+   * @param {Electron.WebContents} sender - The webContents that sent the IPC message.
+   * @param {string} sourceId - The service id reported by the renderer.
+   * @returns {string} The account-specific view id.
+   */
+  _resolveSourceId(sender, sourceId) {
+    const senderId = this._getViewIdByWebContents(sender);
+    if (!sourceId) return senderId;
+
+    const senderConfig = this.viewConfig[senderId];
+    if (!senderConfig?.accountId) return sourceId;
+    return this._getAccountViewId(sourceId, senderConfig.accountId);
+  }
+
+  /**
+   * Makes another Google account the active one. The sidebar and the
+   * application menu are rebuilt, and the same service is opened in the new
+   * account when it is enabled there.
+   * @param {string} accountId - The id of the account to activate.
+   */
+  _switchAccount(accountId) {
+    if (accountId === this.activeAccountId) return;
+    if (!this.accounts.some((a) => a.id === accountId)) return;
+
+    const currentServiceId = this.viewConfig[this.activeViewId]?.serviceId;
+    this._setActiveAccount(accountId);
+
+    const sameServiceId = this._getAccountViewId(currentServiceId, accountId);
+    const targetId = this._getSafeView(sameServiceId)
+      ? sameServiceId
+      : this._getFirstAvailableViewId();
+    if (targetId) this._switchToTab(targetId);
+  }
+
+  _setActiveAccount(accountId) {
+    this.activeAccountId = accountId;
+    this.store.set("activeAccount", accountId);
+    this._rebuildMenus();
+  }
+
+  /**
+   * Rebuilds both the application menu (service shortcuts) and the sidebar
+   * after the set of visible services changes.
+   */
+  _rebuildMenus() {
+    Menu.setApplicationMenu(createMenu(this));
+    this._refreshMenu();
+    notifyPreferencesChanged(this);
+  }
+
+  _addAccount() {
+    const lastIndex = Math.max(
+      0,
+      ...this.accounts.map((a) => Number(a.id.replace(/^account/, "")) || 0),
+    );
+    const id = `account${lastIndex + 1}`;
+    const labels = new Set(this.accounts.map((a) => a.label));
+    let number = 1;
+    while (labels.has(`Account ${number}`)) number += 1;
+    this.accounts.push({ id, label: `Account ${number}` });
+    this.store.set("googleAccounts", this.accounts);
+
+    this._buildViewRegistry();
+
+    Object.values(this.viewConfig)
+      .filter((c) => c.accountId === id)
+      .forEach((config) => {
+        this.enabledServices[config.id] = true;
+        this._attachNewView(config);
+      });
+    this.store.set("services", this.enabledServices);
+
+    this._switchAccount(id);
+  }
+
+  /**
+   * @param {string} accountId
+   * @param {string} label - Ignored when blank or used by another account.
+   */
+  _renameAccount(accountId, label) {
+    const account = this.accounts.find((a) => a.id === accountId);
+    const newLabel = String(label ?? "")
+      .trim()
+      .slice(0, MAX_ACCOUNT_LABEL_LENGTH);
+    if (
+      !account ||
+      !newLabel ||
+      this.accounts.some((a) => a.id !== accountId && a.label === newLabel)
+    ) {
+      // Puts the current label back in the preferences page
+      notifyPreferencesChanged(this);
+      return;
+    }
+
+    this.accounts = this.accounts.map((a) =>
+      a.id === accountId ? { ...a, label: newLabel } : a,
+    );
+    this.store.set("googleAccounts", this.accounts);
+
+    this._buildViewRegistry();
+    this._rebuildMenus();
+    this._publishUnreadCounts();
+  }
+
+  async _removeAccount(accountId) {
+    const account = this.accounts.find((a) => a.id === accountId);
+    if (!account || accountId === DEFAULT_ACCOUNT.id) return;
+
+    const { response } = await dialog.showMessageBox(this.win, {
+      type: "warning",
+      buttons: ["Remove", "Cancel"],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Remove ${account.label}?`,
+      detail:
+        "You will be signed out and its local data will be deleted from this app.",
+    });
+    if (response !== 0) return;
+
+    if (this.activeAccountId === accountId) {
+      this._setActiveAccount(DEFAULT_ACCOUNT.id);
+    }
+
+    Object.values(this.viewConfig)
+      .filter((c) => c.accountId === accountId)
+      .forEach((config) => {
+        this._destroyView(config.id);
+        delete this.enabledServices[config.id];
+      });
+
+    await this._getAccountSession(accountId).clearStorageData();
+
+    this.accounts = this.accounts.filter((a) => a.id !== accountId);
+    this.store.set("googleAccounts", this.accounts);
+    this.store.set("services", this.enabledServices);
+
+    this._buildViewRegistry();
+    this._rebuildMenus();
+    this._publishUnreadCounts();
+  }
+
+  _openServiceEditor() {
+    if (this.serviceEditor && !this.serviceEditor.isDestroyed()) {
+      this.serviceEditor.focus();
+      return;
+    }
+
+    this.serviceEditor = new BrowserWindow({
+      parent: this.win,
+      modal: true,
+      width: 420,
+      height: 440,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      title: "Add Custom Service",
+      backgroundColor: "#202124",
+      autoHideMenuBar: true,
+      webPreferences: {
+        preload: path.join(__dirname, "preload-service-editor.js"),
+        contextIsolation: true,
+        sandbox: true,
+      },
+    });
+    this.serviceEditor.loadFile(path.join(__dirname, "service-editor.html"));
+  }
+
+  /**
+   * Validates and persists a user-defined service, then creates its view and
+   * switches to it.
+   * @param {{title: string, url: string, icon?: string, isolated?: boolean,
+   *   allowedOrigins?: string}} data - Form values. `allowedOrigins` lists
+   *   further sites the service may navigate to, one per line.
+   * @returns {{error?: string}} A validation error, if any.
+   */
+  _addCustomService({ title, url, icon, isolated, allowedOrigins }) {
+    const cleanTitle = String(title ?? "").trim();
+    if (!cleanTitle) return { error: "A title is required." };
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(String(url ?? "").trim());
+    } catch {
+      return { error: "The URL is not valid." };
+    }
+    if (!["https:", "http:"].includes(parsedUrl.protocol)) {
+      return { error: "Only http and https URLs are supported." };
+    }
+
+    let iconUrl = new URL("/favicon.ico", parsedUrl.origin).href;
+    if (icon) {
+      try {
+        iconUrl = new URL(String(icon).trim()).href;
+      } catch {
+        return { error: "The icon URL is not valid." };
+      }
+    }
+
+    const origins = String(allowedOrigins ?? "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((origin) => origin.replace(/\/+$/, ""));
+    // An origin, optionally with a "*." subdomain wildcard, see security-policy.js
+    const invalidOrigin = origins.find(
+      (origin) => !/^https?:\/\/(\*\.)?[^/*\s]+$/i.test(origin),
+    );
+    if (invalidOrigin) {
+      return { error: `Not a valid site: ${invalidOrigin}` };
+    }
+
+    const service = {
+      id: `custom-${Date.now().toString(36)}`,
+      title: cleanTitle,
+      url: parsedUrl.href,
+      icon: iconUrl,
+      isolated: Boolean(isolated),
+      allowedOrigins: origins,
+    };
+    this.customServices.push(service);
+    this.store.set("customServices", this.customServices);
+
+    this._buildViewRegistry();
+
+    this.enabledServices[service.id] = true;
+    this.store.set("services", this.enabledServices);
+    this._attachNewView(this.viewConfig[service.id]);
+
+    this._rebuildMenus();
+    this._switchToTab(service.id);
+    this.serviceEditor?.close();
+    return {};
+  }
+
+  async _removeCustomService(serviceId) {
+    const service = this.customServices.find((s) => s.id === serviceId);
+    if (!service) return;
+
+    const { response } = await dialog.showMessageBox(this.win, {
+      type: "warning",
+      buttons: ["Remove", "Cancel"],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Remove ${service.title}?`,
+    });
+    if (response !== 0) return;
+
+    this._destroyView(serviceId);
+    if (service.isolated) {
+      await session.fromPartition(`persist:${service.id}`).clearStorageData();
+    }
+
+    this.customServices = this.customServices.filter((s) => s.id !== serviceId);
+    delete this.enabledServices[serviceId];
+    delete this.zoomLevels[serviceId];
+
+    this.store.set("customServices", this.customServices);
+    this.store.set("services", this.enabledServices);
+    this.store.set("zoomLevels", this.zoomLevels);
+
+    this._buildViewRegistry();
+    this._rebuildMenus();
+    this._publishUnreadCounts();
+  }
+
+  _switchToTab(tabId) {
+    const targetView = this._getSafeView(tabId);
+    if (!targetView) return;
 
-    ipcMain.on(IPC_CHANNELS.UPDATE_FAVICON, (event, { source, faviconUrl }) => {
-      if (!faviconUrl) return;
+    this._closePanel();
 
-      if (faviconUrl.startsWith("data:")) {
-        this._sendToMenu(IPC_CHANNELS.UPDATE_MENU_ICON, {
-          source,
-          dataUrl: faviconUrl,
+    if (this.detachedWindows.has(tabId)) {
+      this._showDetachedWindow(tabId);
+      return;
+    }
+
+    const targetConfig = this.viewConfig[tabId];
+    if (!this._isInActiveAccount(targetConfig)) {
+      this._setActiveAccount(targetConfig.accountId);
+    }
+
+    // In split view, the service replaces the focused pane
+    if (this._isSplitActive() && !this.splitView.panes.includes(tabId)) {
+      const panes = [...this.splitView.panes];
+      panes[Math.max(panes.indexOf(this.activeViewId), 0)] = tabId;
+      this.splitView = { ...this.splitView, panes };
+      this._saveSplitView();
+    }
+
+    this._loadView(tabId);
+
+    const currentView = this._getSafeView(this.activeViewId);
+    if (this.activeViewId && currentView) {
+      currentView.webContents.executeJavaScript("window.blur()", true);
+    }
+
+    this.store.set("lastTab", tabId);
+    this.activeViewId = tabId;
+    this.win.contentView.addChildView(targetView);
+    this._showSplitPanes();
+    targetView.webContents.focus();
+
+    // Update menu state
+    this._sendToMenu(IPC_CHANNELS.SET_ACTIVE_TAB, tabId);
+  }
+
+  /**
+   * Loads a view's service on first use (lazy loading) and reports the
+   * loading state to the sidebar.
+   * @param {string} tabId - The view to load.
+   */
+  _loadView(tabId) {
+    const targetView = this.views.get(tabId);
+
+    // Show loading state
+    this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
+      serviceId: tabId,
+      loading: true,
+    });
+
+    // Lazy load view if not yet loaded, or wake it up from hibernation
+    if (!this.loadedViews.has(tabId)) {
+      const config = this.viewConfig[tabId];
+      if (config?.url) {
+        targetView.webContents.loadURL(
+          this.hibernatedViews.get(tabId) ?? config.url,
+        );
+        this.hibernatedViews.delete(tabId);
+        this.loadedViews.add(tabId);
+
+        // Hide loading state when view finishes loading
+        targetView.webContents.once("did-finish-load", () => {
+          this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
+            serviceId: tabId,
+            loading: false,
+          });
         });
-        return;
       }
+    } else {
+      // Already loaded, hide loading state immediately
+      this._sendToMenu(IPC_CHANNELS.SET_LOADING_STATE, {
+        serviceId: tabId,
+        loading: false,
+      });
+    }
+  }
 
-      try {
-        const request = net.request(faviconUrl);
-        request.on("response", (response) => {
-          if (response.statusCode !== 200) {
-            console.error(
-              `Favicon fetch failed for ${source}: HTTP ${response.statusCode}`,
-            );
-            return;
-          }
-          const chunks = [];
-          response.on("data", (chunk) => chunks.push(chunk));
-          response.on("end", () => {
-            const buffer = Buffer.concat(chunks);
-            const dataUrl = `data:${response.headers["content-type"]};base64,${buffer.toString("base64")}`;
-            this._sendToMenu(IPC_CHANNELS.UPDATE_MENU_ICON, {
-              source,
-              dataUrl,
+  _updateUnreadCount(source, count) {
+    if (!this.validViewIds.has(source)) return;
+    // Keep the last count of hibernated services
+    if (this.hibernatedViews.has(source)) return;
+    const newCount = count ?? 0;
+    if (this.unreadCounts.has(source)) {
+      this.unreadCounts.set(source, newCount);
+    }
+  }
+
+  /**
+   * Pushes the current unread counts to every consumer: the dock/taskbar
+   * badge, the sidebar badges and the tray.
+   */
+  _publishUnreadCounts() {
+    app.setBadgeCount(this._getTotalUnreadCount());
+    this._sendToMenu(
+      IPC_CHANNELS.UPDATE_MENU_BADGES,
+      Object.fromEntries(this.unreadCounts),
+    );
+    this._updateTray();
+    this._broadcastUnreadCounts();
+  }
+
+  /**
+   * @returns {{total: number, doNotDisturb: boolean, services: {id: string, title: string, count: number}[]}}
+   *   The unread counts of every loaded service, for the control socket.
+   */
+  _getUnreadCountsModel() {
+    return {
+      total: this._getTotalUnreadCount(),
+      doNotDisturb: this.doNotDisturb.isActive(),
+      services: [...this.unreadCounts].map(([id, count]) => ({
+        id,
+        title: this.viewConfig[id]?.title ?? id,
+        count,
+      })),
+    };
+  }
+
+  _broadcastUnreadCounts() {
+    this.controlServer.broadcast(
+      "unreadCountsChanged",
+      this._getUnreadCountsModel(),
+    );
+  }
+
+  _getNotificationHistoryModel() {
+    return this.notificationHistory.getAll().map((entry) => ({
+      ...entry,
+      sourceTitle: this.viewConfig[entry.source]?.title ?? "Unknown service",
+      sourceIcon: this.viewConfig[entry.source]?.icon,
+    }));
+  }
+
+  /**
+   * Pushes the notification history to the sidebar bell badge and, when
+   * open, to the notifications panel.
+   */
+  _publishNotificationHistory() {
+    this._sendToMenu(
+      IPC_CHANNELS.UPDATE_HISTORY_BADGE,
+      this.notificationHistory.getUnreadCount(),
+    );
+    this._sendToPanel(
+      "notifications",
+      IPC_CHANNELS.NOTIFICATION_HISTORY_CHANGED,
+      this._getNotificationHistoryModel(),
+    );
+  }
+
+  /**
+   * Marks a history entry as read and jumps to its service. When the entry
+   * recorded a URL on the same origin as the service, the view navigates
+   * back to it.
+   * @param {string} entryId - The id of the history entry.
+   */
+  _openNotification(entryId) {
+    const entry = this.notificationHistory.get(entryId);
+    if (!entry) return;
+
+    this.notificationHistory.markRead(entryId);
+    this._publishNotificationHistory();
+
+    if (!this._getSafeView(entry.source)) return;
+    this._switchToTab(entry.source);
+
+    const view = this.views.get(entry.source);
+    if (!entry.url || view.webContents.getURL() === entry.url) return;
+
+    try {
+      const serviceOrigin = new URL(this.viewConfig[entry.source].url).origin;
+      if (new URL(entry.url).origin === serviceOrigin) {
+        view.webContents.loadURL(entry.url);
+      }
+    } catch (e) {
+      console.error(`[History] Invalid URL for ${entry.source}:`, e.message);
+    }
+  }
+
+  /**
+   * Saves downloads started in a session to the folder of the service they
+   * came from, or asks where to save them.
+   * @param {Electron.Session} ses
+   */
+  _setupDownloads(ses) {
+    ses.on("will-download", (event, item, webContents) => {
+      const source = webContents
+        ? this._getViewIdByWebContents(webContents)
+        : null;
+      const folder = this._getDownloadFolder(source);
+
+      if (this.downloadSettings.alwaysAsk) {
+        item.setSaveDialogOptions({
+          defaultPath: path.join(folder, item.getFilename()),
+        });
+      } else {
+        item.setSavePath(getUniqueSavePath(folder, item.getFilename()));
+      }
+      this.downloadManager.track(item, source);
+    });
+  }
+
+  /**
+   * @param {string|null} viewId
+   * @returns {string} The service's download folder, or the system one when
+   *   none is set or it no longer exists.
+   */
+  _getDownloadFolder(viewId) {
+    const folder = this.downloadSettings.folders[viewId];
+    return folder && fs.existsSync(folder) ? folder : app.getPath("downloads");
+  }
+
+  _setDownloadSettings({ alwaysAsk }) {
+    this.downloadSettings = {
+      ...this.downloadSettings,
+      alwaysAsk: Boolean(alwaysAsk),
+    };
+    this.store.set("downloadSettings", this.downloadSettings);
+  }
+
+  /**
+   * @param {string} viewId - A content view id.
+   * @param {string|null} folder - The folder, or null for the system one.
+   */
+  _setDownloadFolder(viewId, folder) {
+    if (!this.viewConfig[viewId]?.isContent) return;
+
+    const folders = { ...this.downloadSettings.folders };
+    if (folder) {
+      folders[viewId] = folder;
+    } else {
+      delete folders[viewId];
+    }
+    this.downloadSettings = { ...this.downloadSettings, folders };
+    this.store.set("downloadSettings", this.downloadSettings);
+  }
+
+  _getDownloadsModel() {
+    return this.downloadManager.getAll().map((entry) => ({
+      ...entry,
+      sourceTitle: this.viewConfig[entry.source]?.title,
+      sourceIcon: this.viewConfig[entry.source]?.icon,
+    }));
+  }
+
+  /**
+   * Pushes download changes to the sidebar, the taskbar and, when open, the
+   * downloads panel, at most once per DOWNLOAD_PUBLISH_INTERVAL_MS.
+   */
+  _publishDownloads() {
+    if (this.downloadPublishTimer) return;
+
+    this.downloadPublishTimer = setTimeout(() => {
+      this.downloadPublishTimer = null;
+      if (!this.win || this.win.isDestroyed()) return;
+
+      this._sendDownloadProgress();
+      this._sendToPanel(
+        "downloads",
+        IPC_CHANNELS.DOWNLOADS_CHANGED,
+        this._getDownloadsModel(),
+      );
+    }, DOWNLOAD_PUBLISH_INTERVAL_MS);
+  }
+
+  /**
+   * Shows the progress of running downloads on the sidebar icon of the
+   * service they came from and on the taskbar / dock icon.
+   */
+  _sendDownloadProgress() {
+    const active = this.downloadManager.getActive();
+    const getProgress = (entries) => {
+      // Without a known size for every file, progress is indeterminate
+      if (entries.some((e) => e.totalBytes <= 0)) return -1;
+      const received = entries.reduce((sum, e) => sum + e.receivedBytes, 0);
+      const total = entries.reduce((sum, e) => sum + e.totalBytes, 0);
+      return received / total;
+    };
+
+    const bySource = Map.groupBy(
+      active.filter((entry) => entry.source),
+      (entry) => entry.source,
+    );
+    const progress = Object.fromEntries(
+      [...bySource].map(([source, entries]) => [source, getProgress(entries)]),
+    );
+    this._sendToMenu(IPC_CHANNELS.UPDATE_DOWNLOAD_PROGRESS, {
+      progress,
+      activeCount: active.length,
+    });
+
+    if (active.length === 0) {
+      this.win.setProgressBar(-1);
+    } else {
+      const overall = getProgress(active);
+      // Values above 1 show an indeterminate bar on Windows
+      this.win.setProgressBar(overall === -1 ? 2 : overall);
+    }
+  }
+
+  _sendToMenu(channel, data) {
+    const menuView = this.views.get(VIEW_CONFIG.MENU.id);
+    if (menuView?.webContents) {
+      menuView.webContents.send(channel, data);
+    }
+  }
+
+  /**
+   * Registers all IPC communication handlers between renderer and main process.
+   * Handles: tab switching, badge updates, notifications, favicon updates, and context menu.
+   */
+  _setupIpcHandlers() {
+    ipcMain.on(IPC_CHANNELS.SWITCH_TAB, (event, tabId) => {
+      this._switchToTab(this._resolveSourceId(event.sender, tabId));
+    });
+
+    ipcMain.on(IPC_CHANNELS.UPDATE_BADGE, (event, { count, source }) => {
+      this._updateUnreadCount(
+        this._resolveSourceId(event.sender, source),
+        count,
+      );
+      this._publishUnreadCounts();
+    });
+
+    ipcMain.on(
+      IPC_CHANNELS.UPDATE_FAVICON,
+      (event, { faviconUrl, ...data }) => {
+        if (!faviconUrl) return;
+        const source = this._resolveSourceId(event.sender, data.source);
+        if (this.hibernatedViews.has(source)) return;
+
+        if (faviconUrl.startsWith("data:")) {
+          this._sendToMenu(IPC_CHANNELS.UPDATE_MENU_ICON, {
+            source,
+            dataUrl: faviconUrl,
+          });
+          return;
+        }
+
+        try {
+          const request = net.request(faviconUrl);
+          request.on("response", (response) => {
+            if (response.statusCode !== 200) {
+              console.error(
+                `Favicon fetch failed for ${source}: HTTP ${response.statusCode}`,
+              );
+              return;
+            }
+            const chunks = [];
+            response.on("data", (chunk) => chunks.push(chunk));
+            response.on("end", () => {
+              const buffer = Buffer.concat(chunks);
+              const dataUrl = `data:${response.headers["content-type"]};base64,${buffer.toString("base64")}`;
+              this._sendToMenu(IPC_CHANNELS.UPDATE_MENU_ICON, {
+                source,
+                dataUrl,
+              });
             });
           });
-        });
-        request.on("error", (e) =>
-          console.error(`Favicon error ${source}:`, e.message),
+          request.on("error", (e) =>
+            console.error(`Favicon error ${source}:`, e.message),
+          );
+          request.end();
+        } catch (e) {
+          console.error(`Favicon request failed ${source}:`, e.message);
+        }
+      },
+    );
+
+    ipcMain.on(IPC_CHANNELS.SHOW_CONTEXT_MENU, (event, serviceId) => {
+      const menu = new Menu();
+
+      // Right-clicked on a service icon
+      const viewId =
+        serviceId && this._resolveSourceId(event.sender, serviceId);
+      if (this._getSafeView(viewId)) {
+        const isDetached = this.detachedWindows.has(viewId);
+        menu.append(
+          new MenuItem({
+            label: isDetached
+              ? "Dock to Main Window"
+              : "Open in Separate Window",
+            click: () =>
+              isDetached
+                ? this.detachedWindows.get(viewId).close()
+                : this._detachView(viewId),
+          }),
+        );
+        menu.append(
+          new MenuItem({
+            label: "Open in Split View",
+            enabled: !isDetached && viewId !== this.activeViewId,
+            click: () => this._openSplitView(viewId),
+          }),
+        );
+        menu.append(new MenuItem({ type: "separator" }));
+      }
+
+      menu.append(new MenuItem({ label: "Visible Services", enabled: false }));
+      menu.append(new MenuItem({ type: "separator" }));
+
+      let lastGroup = null;
+      this._getOrderedServices().forEach((config) => {
+        if (lastGroup && lastGroup !== config.provider) {
+          menu.append(new MenuItem({ type: "separator" }));
+        }
+        lastGroup = config.provider;
+
+        menu.append(
+          new MenuItem({
+            label: config.title,
+            type: "checkbox",
+            checked: this.enabledServices[config.id],
+            click: () =>
+              this._setServiceEnabled(
+                config.id,
+                !this.enabledServices[config.id],
+              ),
+          }),
+        );
+      });
+
+      menu.append(new MenuItem({ type: "separator" }));
+      menu.append(
+        new MenuItem({
+          label: "Add Custom Service…",
+          click: () => this._openServiceEditor(),
+        }),
+      );
+
+      if (this.customServices.length > 0) {
+        menu.append(
+          new MenuItem({
+            label: "Remove Custom Service",
+            submenu: this.customServices.map((service) => ({
+              label: service.title,
+              click: () => this._removeCustomService(service.id),
+            })),
+          }),
         );
-        request.end();
-      } catch (e) {
-        console.error(`Favicon request failed ${source}:`, e.message);
       }
+
+      menu.popup({ window: this.win });
+    });
+
+    ipcMain.removeHandler(IPC_CHANNELS.ADD_CUSTOM_SERVICE);
+    ipcMain.handle(IPC_CHANNELS.ADD_CUSTOM_SERVICE, (event, data) => {
+      if (event.sender !== this.serviceEditor?.webContents) return {};
+      return this._addCustomService(data ?? {});
+    });
+
+    ipcMain.on(IPC_CHANNELS.REORDER_SERVICES, (event, viewIds) => {
+      this._reorderServices(viewIds);
+    });
+
+    ipcMain.on(IPC_CHANNELS.TOGGLE_PANEL, (event, name) => {
+      this._togglePanel(name);
+    });
+
+    ipcMain.on(IPC_CHANNELS.CLOSE_PANEL, (event) => {
+      if (this._isFromPanel(event)) this._closePanel();
+    });
+
+    ipcMain.on(IPC_CHANNELS.OPEN_SPLIT_VIEW, (event, viewId) => {
+      this._openSplitView(this._resolveSourceId(event.sender, viewId));
+    });
+
+    ipcMain.on(IPC_CHANNELS.SPLIT_DRAG_START, (event) => {
+      if (!this._isFromDivider(event)) return;
+      this.isDraggingDivider = true;
+      this._layoutViews();
+    });
+
+    ipcMain.on(IPC_CHANNELS.SPLIT_DRAG, (event, point) => {
+      if (this._isFromDivider(event)) this._dragDivider(point ?? {});
+    });
+
+    ipcMain.on(IPC_CHANNELS.SPLIT_DRAG_END, (event) => {
+      if (!this._isFromDivider(event)) return;
+      this.isDraggingDivider = false;
+      this._saveSplitView();
+      this._layoutViews();
+    });
+
+    ipcMain.removeHandler(IPC_CHANNELS.GET_PALETTE_ITEMS);
+    ipcMain.handle(IPC_CHANNELS.GET_PALETTE_ITEMS, (event) =>
+      this._isFromPanel(event) ? this._getPaletteItems() : null,
+    );
+
+    ipcMain.on(IPC_CHANNELS.EXECUTE_PALETTE_ITEM, (event, itemId) => {
+      if (this._isFromPanel(event)) this._executePaletteItem(itemId);
+    });
+
+    ipcMain.removeHandler(IPC_CHANNELS.GET_NOTIFICATION_HISTORY);
+    ipcMain.handle(IPC_CHANNELS.GET_NOTIFICATION_HISTORY, (event) =>
+      this._isFromPanel(event) ? this._getNotificationHistoryModel() : null,
+    );
+
+    ipcMain.on(IPC_CHANNELS.OPEN_NOTIFICATION, (event, entryId) => {
+      if (this._isFromPanel(event)) this._openNotification(entryId);
+    });
+
+    ipcMain.on(IPC_CHANNELS.MARK_ALL_NOTIFICATIONS_READ, (event) => {
+      if (!this._isFromPanel(event)) return;
+      this.notificationHistory.markAllRead();
+      this._publishNotificationHistory();
+    });
+
+    ipcMain.on(IPC_CHANNELS.CLEAR_NOTIFICATION_HISTORY, (event) => {
+      if (!this._isFromPanel(event)) return;
+      this.notificationHistory.clear();
+      this._publishNotificationHistory();
+    });
+
+    ipcMain.removeHandler(IPC_CHANNELS.GET_DOWNLOADS);
+    ipcMain.handle(IPC_CHANNELS.GET_DOWNLOADS, (event) =>
+      this._isFromPanel(event) ? this._getDownloadsModel() : null,
+    );
+
+    ipcMain.on(IPC_CHANNELS.PAUSE_DOWNLOAD, (event, id) => {
+      if (this._isFromPanel(event)) this.downloadManager.pause(id);
+    });
+
+    ipcMain.on(IPC_CHANNELS.RESUME_DOWNLOAD, (event, id) => {
+      if (this._isFromPanel(event)) this.downloadManager.resume(id);
+    });
+
+    ipcMain.on(IPC_CHANNELS.CANCEL_DOWNLOAD, (event, id) => {
+      if (this._isFromPanel(event)) this.downloadManager.cancel(id);
+    });
+
+    ipcMain.on(IPC_CHANNELS.SHOW_DOWNLOAD_IN_FOLDER, (event, id) => {
+      if (this._isFromPanel(event)) this.downloadManager.showInFolder(id);
+    });
+
+    ipcMain.on(IPC_CHANNELS.CLEAR_DOWNLOADS, (event) => {
+      if (this._isFromPanel(event)) this.downloadManager.clear();
     });
 
-    ipcMain.on(IPC_CHANNELS.SHOW_CONTEXT_MENU, () => {
+    ipcMain.on(IPC_CHANNELS.SHOW_ACCOUNT_MENU, () => {
       const menu = new Menu();
 
-      menu.append(new MenuItem({ label: "Visible Services", enabled: false }));
+      menu.append(new MenuItem({ label: "Google Accounts", enabled: false }));
       menu.append(new MenuItem({ type: "separator" }));
 
-      Object.values(VIEW_CONFIG)
-        .filter((c) => c.isContent)
-        .forEach((config) => {
-          menu.append(
-            new MenuItem({
-              label: config.title,
-              type: "checkbox",
-              checked: this.enabledServices[config.id],
-              click: () => {
-                this.enabledServices[config.id] =
-                  !this.enabledServices[config.id];
-                this.store.set("services", this.enabledServices);
-                app.relaunch();
-                app.exit(0);
-              },
-            }),
-          );
-        });
+      this.accounts.forEach((account) => {
+        menu.append(
+          new MenuItem({
+            label: account.label,
+            type: "radio",
+            checked: account.id === this.activeAccountId,
+            click: () => this._switchAccount(account.id),
+          }),
+        );
+      });
 
       menu.append(new MenuItem({ type: "separator" }));
+      menu.append(
+        new MenuItem({
+          label: "Add Google Account",
+          click: () => this._addAccount(),
+        }),
+      );
+      menu.append(
+        new MenuItem({
+          label: "Rename Accounts…",
+          click: () => this._openPreferences(),
+        }),
+      );
+      menu.append(
+        new MenuItem({
+          label: "Remove Current Account",
+          enabled: this.activeAccountId !== DEFAULT_ACCOUNT.id,
+          click: () => this._removeAccount(this.activeAccountId),
+        }),
+      );
 
       menu.popup({ window: this.win });
     });
 
     ipcMain.on(
       IPC_CHANNELS.SHOW_NOTIFICATION,
-      (event, { title, body, source }) => {
+      (event, { title, body, actionUrl, ...data }) => {
+        const source = this._resolveSourceId(event.sender, data.source);
+        const isValidActionUrl =
+          typeof actionUrl === "string" &&
+          NOTIFICATION_ACTION_URL_PREFIXES.some((prefix) =>
+            actionUrl.startsWith(prefix),
+          );
+
+        const entry = this.notificationHistory.add({
+          title,
+          body,
+          source,
+          url: this.views.get(source)?.webContents.getURL(),
+        });
+        this._publishNotificationHistory();
+
+        // The page's own notification is never shown (see preload-service.js),
+        // so this is the only gate
+        const { show, silent, deferred } = this.notificationSettings.enabled
+          ? this.doNotDisturb.evaluate(source)
+          : { show: false, silent: true, deferred: false };
+        if (!show) {
+          if (deferred) this.doNotDisturb.recordSuppressed(source);
+          return;
+        }
+
         const notification = new Notification({
           title,
           body,
-          silent: false,
+          silent: this.notificationSettings.silent || silent,
         });
 
         notification.on("click", () => {
+          this.notificationHistory.markRead(entry.id);
+          this._publishNotificationHistory();
+          if (isValidActionUrl) {
+            shell.openExternal(actionUrl);
+            return;
+          }
           if (source) this._switchToTab(source);
-          this.win.show();
-          this.win.focus();
+          this._showWindow();
         });
 
         notification.show();
@@ -604,21 +3228,84 @@ class MainWindow {
 
 let mainWindow;
 
+// A mailto: URL received before the window exists (launch arguments, or
+// macOS "open-url" during startup)
+let pendingMailtoUrl = findMailtoUrl(process.argv);
+
+// A second launch (e.g. clicking a mailto: link while the app runs) hands
+// its arguments over to this instance and exits
+const hasInstanceLock = app.requestSingleInstanceLock();
+if (!hasInstanceLock) app.quit();
+
+app.on("second-instance", (event, argv) => {
+  if (!mainWindow?.win || mainWindow.win.isDestroyed()) return;
+
+  const options = parseCommandLine(argv);
+  if (!options.hidden) mainWindow._showWindow();
+  const mailtoUrl = findMailtoUrl(argv);
+  if (mailtoUrl) {
+    mainWindow._openMailto(mailtoUrl);
+  } else {
+    mainWindow._openFromCommandLine(options);
+  }
+});
+
+app.on("open-url", (event, url) => {
+  event.preventDefault();
+  if (mainWindow) {
+    mainWindow._openMailto(url);
+  } else {
+    pendingMailtoUrl = url;
+  }
+});
+
 app.whenReady().then(() => {
+  if (!hasInstanceLock) return;
   if (process.platform === "darwin") app.setName(packageJson.build.productName);
+  // Popups allowed by the link rules are created with the fallback agent
+  app.userAgentFallback = getCleanUserAgent(app.userAgentFallback);
+  const options = parseCommandLine(process.argv);
   mainWindow = new MainWindow();
-  mainWindow.create();
+  mainWindow.create({ hidden: options.hidden });
+
+  if (pendingMailtoUrl) {
+    mainWindow._openMailto(pendingMailtoUrl);
+    pendingMailtoUrl = undefined;
+  } else {
+    mainWindow._openFromCommandLine(options);
+  }
+});
+
+// Only proxy challenges are answered; sites' own HTTP auth is cancelled
+app.on("login", (event, webContents, details, authInfo, callback) => {
+  if (!authInfo.isProxy || !mainWindow) return;
+
+  event.preventDefault();
+  promptProxyLogin(mainWindow, authInfo, details.url).then(
+    (credentials) =>
+      credentials
+        ? callback(credentials.username, credentials.password)
+        : callback(),
+    (error) => {
+      console.error("[Proxy] Login prompt failed:", error.message);
+      callback();
+    },
+  );
 });
 
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") app.quit();
 });
 
-app.on("before-quit", () => {});
+app.on("before-quit", () => {
+  if (mainWindow) mainWindow.isQuitting = true;
+});
+
+app.on("will-quit", () => mainWindow?.controlServer.stop());
 
+// The main window is only hidden when closed on macOS, see _createWindow
 app.on("activate", () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    mainWindow = new MainWindow();
-    mainWindow.create();
+  if (mainWindow?.win && !mainWindow.win.isDestroyed()) {
+    mainWindow._showWindow();
   }
 });
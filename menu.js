@@ -10,6 +10,13 @@ import { Menu, shell, app } from "electron";
 export function createMenu(mainWindow) {
   const isMac = process.platform === "darwin";
 
+  const doNotDisturbItem = {
+    label: "Do Not Disturb",
+    type: "checkbox",
+    checked: Boolean(mainWindow?.doNotDisturb.getSettings().enabled),
+    click: (menuItem) => mainWindow?._setDoNotDisturb(menuItem.checked),
+  };
+
   const template = [
     // { role: 'appMenu' } for macOS
     ...(isMac
@@ -19,6 +26,13 @@ export function createMenu(mainWindow) {
             submenu: [
               { role: "about" },
               { type: "separator" },
+              {
+                label: "Settings…",
+                accelerator: "CmdOrCtrl+,",
+                click: () => mainWindow?._openPreferences(),
+              },
+              doNotDisturbItem,
+              { type: "separator" },
               { role: "services" },
               { type: "separator" },
               { role: "hide" },
@@ -33,7 +47,20 @@ export function createMenu(mainWindow) {
     // { role: 'fileMenu' }
     {
       label: "File",
-      submenu: [isMac ? { role: "close" } : { role: "quit" }],
+      submenu: [
+        ...(isMac
+          ? []
+          : [
+              {
+                label: "Preferences…",
+                accelerator: "CmdOrCtrl+,",
+                click: () => mainWindow?._openPreferences(),
+              },
+              doNotDisturbItem,
+              { type: "separator" },
+            ]),
+        isMac ? { role: "close" } : { role: "quit" },
+      ],
     },
     // { role: 'editMenu' }
     {
@@ -84,26 +111,73 @@ export function createMenu(mainWindow) {
           },
         },
         { type: "separator" },
+        {
+          label: "Command Palette…",
+          accelerator: "CmdOrCtrl+K",
+          click: () => mainWindow?._togglePanel("palette"),
+        },
+        {
+          label: "Task Manager",
+          accelerator: "Shift+Escape",
+          click: () => mainWindow?._openTaskManager(),
+        },
+        {
+          label: "Split View",
+          submenu: (() => {
+            const isSplit = Boolean(mainWindow?._isSplitActive());
+            const orientation = mainWindow?.splitView.orientation;
+            // Picking the active service itself is ignored
+            const services = (mainWindow?._getOrderedServices() || []).filter(
+              (c) => mainWindow.enabledServices[c.id],
+            );
+
+            return [
+              {
+                label: "Split With",
+                enabled: services.length > 0,
+                submenu: services.map((service) => ({
+                  label: service.title,
+                  click: () => mainWindow?._openSplitView(service.id),
+                })),
+              },
+              { type: "separator" },
+              {
+                label: "Side by Side",
+                type: "radio",
+                checked: orientation === "horizontal",
+                click: () => mainWindow?._setSplitOrientation("horizontal"),
+              },
+              {
+                label: "Stacked",
+                type: "radio",
+                checked: orientation === "vertical",
+                click: () => mainWindow?._setSplitOrientation("vertical"),
+              },
+              { type: "separator" },
+              {
+                label: "Swap Panes",
+                enabled: isSplit,
+                click: () => mainWindow?._swapSplitPanes(),
+              },
+              {
+                label: "Exit Split View",
+                enabled: isSplit,
+                click: () => mainWindow?._exitSplitView(),
+              },
+            ];
+          })(),
+        },
         // --- DYNAMIC SERVICE SHORTCUTS ---
         ...(() => {
-          // Get all content views in the order they appear in the UI
-          const services = Object.values(
-            mainWindow?.constructor.VIEW_CONFIG || {},
-          )
-            .filter((c) => c.isContent && mainWindow?.enabledServices[c.id])
-            .sort((a, b) => {
-              // Ensure Proton Calendar is always last
-              if (a.id === "protoncalendar") return 1;
-              if (b.id === "protoncalendar") return -1;
-              // Ensure Proton Mail is second to last
-              if (a.id === "protonmail") return 1;
-              if (b.id === "protonmail") return -1;
-              return 0; // Maintain VIEW_CONFIG order for others
-            });
+          // Same order as the sidebar
+          const services = (mainWindow?._getOrderedServices() || []).filter(
+            (c) => mainWindow.enabledServices[c.id],
+          );
 
           return services.map((service, index) => ({
             label: service.title,
-            accelerator: `CmdOrCtrl+${index + 1}`,
+            // Only single-digit accelerators exist
+            accelerator: index < 9 ? `CmdOrCtrl+${index + 1}` : undefined,
             click: () => mainWindow?._switchToTab(service.id),
           }));
         })(),
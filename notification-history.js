@@ -0,0 +1,73 @@
+import { randomUUID } from "crypto";
+
+const STORE_KEY = "notificationHistory";
+const MAX_ENTRIES = 100;
+
+/**
+ * Bounded, persisted log of the notifications shown by the app.
+ * Oldest entries are dropped once MAX_ENTRIES is reached.
+ */
+export class NotificationHistory {
+  /**
+   * @param {import("electron-store").default} store - The app's electron-store instance.
+   */
+  constructor(store) {
+    this.store = store;
+    this.entries = store.get(STORE_KEY, []);
+  }
+
+  /**
+   * Records a notification.
+   * @param {{title: string, body: string, source: string, url?: string}} notification
+   * @returns {object} The stored entry, including its generated id.
+   */
+  add({ title, body, source, url }) {
+    const entry = {
+      id: randomUUID(),
+      title: String(title ?? ""),
+      body: String(body ?? ""),
+      source,
+      url: url || null,
+      timestamp: Date.now(),
+      read: false,
+    };
+    this.entries = [entry, ...this.entries].slice(0, MAX_ENTRIES);
+    this._save();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find((e) => e.id === id);
+  }
+
+  getAll() {
+    return this.entries;
+  }
+
+  getUnreadCount() {
+    return this.entries.filter((e) => !e.read).length;
+  }
+
+  markRead(id) {
+    const entry = this.get(id);
+    if (!entry || entry.read) return;
+    entry.read = true;
+    this._save();
+  }
+
+  markAllRead() {
+    this.entries.forEach((e) => {
+      e.read = true;
+    });
+    this._save();
+  }
+
+  clear() {
+    this.entries = [];
+    this._save();
+  }
+
+  _save() {
+    this.store.set(STORE_KEY, this.entries);
+  }
+}
@@ -0,0 +1,126 @@
+import { BrowserWindow, ipcMain } from "electron";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PERMISSION_TYPES } from "./permissions.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PERMISSION_PROMPT_CHANNELS = {
+  GET_PERMISSION_REQUEST: "get-permission-request",
+  ANSWER_PERMISSION_REQUEST: "answer-permission-request",
+};
+
+// Completes "<service> wants to …" in the prompt
+const PERMISSION_PHRASES = {
+  [PERMISSION_TYPES.CAMERA]: "use your camera",
+  [PERMISSION_TYPES.MICROPHONE]: "use your microphone",
+  [PERMISSION_TYPES.NOTIFICATIONS]: "show notifications",
+  [PERMISSION_TYPES.CLIPBOARD_READ]: "see what you copy to the clipboard",
+  [PERMISSION_TYPES.DISPLAY_CAPTURE]: "share your screen",
+  [PERMISSION_TYPES.GEOLOCATION]: "know your location",
+};
+
+/**
+ * Settles a pending prompt with the user's answer, or null when it was
+ * dismissed, and closes its window.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @param {string} key - See promptPermission().
+ * @param {{allowed: boolean, remember: boolean}|null} answer
+ */
+function finishPermissionPrompt(mainWindow, key, answer) {
+  const prompt = mainWindow.permissionPrompts.get(key);
+  if (!prompt) return;
+
+  mainWindow.permissionPrompts.delete(key);
+  prompt.resolvers.forEach((resolve) => resolve(answer));
+  if (!prompt.win.isDestroyed()) prompt.win.close();
+}
+
+/**
+ * Asks whether an origin may use some permissions, in a small window naming
+ * the service and origin. Identical requests made while the window is open
+ * share it, so a page asking repeatedly shows a single prompt.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @param {{service: string, origin: string, partition: string,
+ *   permissions: string[]}} request - `permissions` are PERMISSION_TYPES
+ *   values, asked for together.
+ * @returns {Promise<{allowed: boolean, remember: boolean}|null>} Null when
+ *   the prompt was dismissed.
+ */
+export function promptPermission(mainWindow, request) {
+  const key = [
+    request.partition,
+    request.origin,
+    ...request.permissions.toSorted(),
+  ].join("|");
+  const pending = mainWindow.permissionPrompts.get(key);
+  if (pending) {
+    return new Promise((resolve) => pending.resolvers.push(resolve));
+  }
+
+  return new Promise((resolve) => {
+    // A modal of a window hidden in the tray would never be seen
+    const parent = mainWindow.win?.isVisible() ? mainWindow.win : undefined;
+    const win = new BrowserWindow({
+      parent,
+      modal: Boolean(parent),
+      width: 420,
+      height: 220,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      title: "Permission Request",
+      backgroundColor: "#202124",
+      autoHideMenuBar: true,
+      webPreferences: {
+        preload: path.join(__dirname, "preload-permission-prompt.js"),
+        contextIsolation: true,
+        sandbox: true,
+      },
+    });
+
+    mainWindow.permissionPrompts.set(key, {
+      win,
+      request: {
+        service: request.service,
+        origin: request.origin,
+        permissions: request.permissions.map((p) => PERMISSION_PHRASES[p]),
+      },
+      resolvers: [resolve],
+    });
+    win.on("closed", () => finishPermissionPrompt(mainWindow, key, null));
+    win.loadFile(path.join(__dirname, "permission-prompt.html"));
+  });
+}
+
+/**
+ * Registers the IPC handlers backing preload-permission-prompt.js. Each
+ * message is matched to the prompt whose window sent it.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function setupPermissionPromptIpc(mainWindow) {
+  const findPromptKey = (event) => {
+    for (const [key, prompt] of mainWindow.permissionPrompts) {
+      if (prompt.win.webContents === event.sender) return key;
+    }
+    return null;
+  };
+
+  ipcMain.removeHandler(PERMISSION_PROMPT_CHANNELS.GET_PERMISSION_REQUEST);
+  ipcMain.handle(PERMISSION_PROMPT_CHANNELS.GET_PERMISSION_REQUEST, (event) => {
+    const key = findPromptKey(event);
+    return key ? mainWindow.permissionPrompts.get(key).request : null;
+  });
+
+  ipcMain.on(
+    PERMISSION_PROMPT_CHANNELS.ANSWER_PERMISSION_REQUEST,
+    (event, { allowed, remember } = {}) => {
+      const key = findPromptKey(event);
+      if (!key) return;
+      finishPermissionPrompt(mainWindow, key, {
+        allowed: allowed === true,
+        remember: remember === true,
+      });
+    },
+  );
+}
@@ -0,0 +1,135 @@
+const STORE_KEY = "permissions";
+
+export const PERMISSION_TYPES = {
+  CAMERA: "camera",
+  MICROPHONE: "microphone",
+  NOTIFICATIONS: "notifications",
+  CLIPBOARD_READ: "clipboard-read",
+  DISPLAY_CAPTURE: "display-capture",
+  GEOLOCATION: "geolocation",
+};
+
+export const PERMISSION_LABELS = {
+  [PERMISSION_TYPES.CAMERA]: "Camera",
+  [PERMISSION_TYPES.MICROPHONE]: "Microphone",
+  [PERMISSION_TYPES.NOTIFICATIONS]: "Notifications",
+  [PERMISSION_TYPES.CLIPBOARD_READ]: "Clipboard",
+  [PERMISSION_TYPES.DISPLAY_CAPTURE]: "Screen sharing",
+  [PERMISSION_TYPES.GEOLOCATION]: "Location",
+};
+
+// Electron asks for camera and microphone together as "media"
+const MEDIA_PERMISSIONS = {
+  video: PERMISSION_TYPES.CAMERA,
+  audio: PERMISSION_TYPES.MICROPHONE,
+};
+
+const MANAGED_PERMISSIONS = new Set(Object.values(PERMISSION_TYPES));
+
+/**
+ * Maps an Electron permission to the permissions the user decides on.
+ * @param {string} permission - As given to the session's permission handlers.
+ * @param {string[]} [mediaTypes] - "video" and/or "audio" for "media".
+ * @returns {string[]} PERMISSION_TYPES values, or none for permissions that
+ *   are never granted.
+ */
+export function toPermissionTypes(permission, mediaTypes = []) {
+  if (permission === "media") {
+    return mediaTypes.map((type) => MEDIA_PERMISSIONS[type]).filter(Boolean);
+  }
+  return MANAGED_PERMISSIONS.has(permission) ? [permission] : [];
+}
+
+function decisionKey(partition, origin, permission) {
+  return `${partition}|${origin}|${permission}`;
+}
+
+/**
+ * Keeps the user's permission decisions per session partition, origin and
+ * permission. Remembered decisions are saved in the store, the others only
+ * last until the app quits. Either kind can be revoked, after which the
+ * origin is asked again.
+ */
+export class PermissionManager {
+  /**
+   * @param {import("electron-store").default} store - The app's electron-store instance.
+   * @param {() => void} onChange - Called after any decision changes.
+   */
+  constructor(store, onChange) {
+    this.store = store;
+    this.onChange = onChange;
+    const saved = store.get(STORE_KEY, []);
+    this.remembered = new Map(
+      (Array.isArray(saved) ? saved : [])
+        .filter((d) => MANAGED_PERMISSIONS.has(d?.permission))
+        .map((d) => [decisionKey(d.partition, d.origin, d.permission), d]),
+    );
+    this.temporary = new Map();
+  }
+
+  /**
+   * @param {string} partition
+   * @param {string} origin
+   * @param {string} permission - One of PERMISSION_TYPES.
+   * @returns {boolean|undefined} Undefined when the user was not asked yet.
+   */
+  getDecision(partition, origin, permission) {
+    const key = decisionKey(partition, origin, permission);
+    return (this.temporary.get(key) ?? this.remembered.get(key))?.allowed;
+  }
+
+  /**
+   * @returns {object[]} Every decision, remembered or not, by origin.
+   */
+  getDecisions() {
+    return [
+      ...[...this.remembered.values()].map((d) => ({ ...d, remembered: true })),
+      ...[...this.temporary.values()].map((d) => ({ ...d, remembered: false })),
+    ].sort(
+      (a, b) =>
+        a.origin.localeCompare(b.origin) ||
+        a.permission.localeCompare(b.permission),
+    );
+  }
+
+  /**
+   * @param {{partition: string, origin: string, permission: string,
+   *   allowed: boolean, service: string}} decision - `service` is the title
+   *   of the service that asked, for display.
+   * @param {boolean} remember - Saves the decision across restarts.
+   */
+  setDecision({ partition, origin, permission, allowed, service }, remember) {
+    if (!MANAGED_PERMISSIONS.has(permission)) return;
+
+    const key = decisionKey(partition, origin, permission);
+    const decision = {
+      partition,
+      origin,
+      permission,
+      allowed: Boolean(allowed),
+      service,
+      decidedAt: Date.now(),
+    };
+    this.temporary.delete(key);
+    this.remembered.delete(key);
+    (remember ? this.remembered : this.temporary).set(key, decision);
+    this._save();
+  }
+
+  /**
+   * @param {{partition: string, origin: string, permission: string}} decision
+   */
+  revoke({ partition, origin, permission } = {}) {
+    const key = decisionKey(partition, origin, permission);
+    if (!this.temporary.has(key) && !this.remembered.has(key)) return;
+
+    this.temporary.delete(key);
+    this.remembered.delete(key);
+    this._save();
+  }
+
+  _save() {
+    this.store.set(STORE_KEY, [...this.remembered.values()]);
+    this.onChange();
+  }
+}
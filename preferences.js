@@ -0,0 +1,255 @@
+import { app, BrowserWindow, dialog, ipcMain } from "electron";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { PROXY_MODES } from "./proxy.js";
+import { getControlSocketPath } from "./control-socket.js";
+import { PERMISSION_LABELS } from "./permissions.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PREFERENCES_CHANNELS = {
+  GET_PREFERENCES: "get-preferences",
+  SET_PREFERENCE: "set-preference",
+  RESET_ZOOM: "reset-zoom",
+  RESET_WINDOW_BOUNDS: "reset-window-bounds",
+  OPEN_TASK_MANAGER: "open-task-manager",
+  CHOOSE_DOWNLOAD_FOLDER: "choose-download-folder",
+  RESET_DOWNLOAD_FOLDER: "reset-download-folder",
+  CHOOSE_PAC_FILE: "choose-pac-file",
+  CHECK_FOR_UPDATES: "check-for-updates",
+  PREFERENCES_CHANGED: "preferences-changed",
+};
+
+/**
+ * Setters for every editable preference, keyed by the name used by the
+ * preferences page. Each one applies the change to the running MainWindow.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+function createPreferenceSetters(mainWindow) {
+  return {
+    service: ({ id, enabled } = {}) =>
+      mainWindow._setServiceEnabled(id, Boolean(enabled)),
+    renameAccount: ({ id, label } = {}) => mainWindow._renameAccount(id, label),
+    startupTab: (value) => mainWindow._setStartupTab(value),
+    closeToTray: (value) => mainWindow._setCloseToTray(Boolean(value)),
+    notifications: (value) => mainWindow._setNotificationSettings(value ?? {}),
+    updates: (value) => mainWindow._setUpdateSettings(value ?? {}),
+    doNotDisturb: (value) => mainWindow._updateDoNotDisturb(value ?? {}),
+    notificationMode: ({ id, mode } = {}) =>
+      mainWindow._setServiceNotificationMode(id, mode),
+    mailtoHandler: (value) => mainWindow._setMailtoHandler(Boolean(value)),
+    mailto: (value) => mainWindow._setMailtoSettings(value ?? {}),
+    linkRules: (value) => mainWindow._setLinkRules(value),
+    hibernationTimeout: (value) =>
+      mainWindow._setHibernationTimeout(Number(value)),
+    downloads: (value) => mainWindow._setDownloadSettings(value ?? {}),
+    controlSocket: (value) =>
+      mainWindow._setControlSocketEnabled(Boolean(value)),
+    proxy: ({ group, settings } = {}) =>
+      mainWindow._setProxySettings(group, settings),
+    spellcheckLanguages: ({ group, languages } = {}) =>
+      mainWindow.spellChecker.setLanguages(group, languages),
+    addDictionaryWord: (word) => mainWindow.spellChecker.addWord(word),
+    removeDictionaryWord: (word) => mainWindow.spellChecker.removeWord(word),
+    replaceDictionaryWord: ({ word, replacement } = {}) =>
+      mainWindow.spellChecker.replaceWord(word, replacement),
+    revokePermission: (value) => mainWindow.permissionManager.revoke(value),
+  };
+}
+
+/**
+ * Builds the serializable model rendered by preferences.html.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @returns {object} The current preferences.
+ */
+export function getPreferencesModel(mainWindow) {
+  const services = Object.values(mainWindow.viewConfig)
+    .filter((c) => c.isContent)
+    .map((config) => ({
+      id: config.id,
+      title: config.title,
+      enabled: Boolean(mainWindow.enabledServices[config.id]),
+      zoom: mainWindow.zoomLevels[config.id] ?? 1,
+      notificationMode: mainWindow.doNotDisturb.getServiceMode(config.id),
+      downloadFolder: mainWindow.downloadSettings.folders[config.id] ?? null,
+    }));
+
+  return {
+    services,
+    accounts: mainWindow.accounts.map(({ id, label }) => ({ id, label })),
+    startupTab: mainWindow.startupTab,
+    closeToTray: mainWindow.closeToTray,
+    notifications: { ...mainWindow.notificationSettings },
+    updates: { ...mainWindow.updateSettings },
+    doNotDisturb: mainWindow.doNotDisturb.getSettings(),
+    mailto: {
+      registerAsDefault: mainWindow.mailtoSettings.registerAsDefault,
+      defaultService: mainWindow.mailtoSettings.defaultService,
+      rules: mainWindow.mailtoSettings.rules.map((rule) => ({ ...rule })),
+      targets: mainWindow
+        ._getMailtoTargets()
+        .map(({ id, title }) => ({ id, title })),
+    },
+    linkRules: mainWindow.linkRules.map((rule) => ({ ...rule })),
+    hibernation: { ...mainWindow.hibernationSettings },
+    downloads: {
+      alwaysAsk: mainWindow.downloadSettings.alwaysAsk,
+      defaultFolder: app.getPath("downloads"),
+    },
+    proxy: structuredClone(mainWindow.proxySettings),
+    controlSocket: {
+      enabled: mainWindow.controlSocketEnabled,
+      path: getControlSocketPath(),
+    },
+    spellcheck: {
+      ...mainWindow.spellChecker.getSettings(),
+      available: mainWindow.spellChecker.getAvailableLanguages(),
+    },
+    permissions: mainWindow.permissionManager
+      .getDecisions()
+      .map((decision) => ({
+        ...decision,
+        label: PERMISSION_LABELS[decision.permission],
+      })),
+  };
+}
+
+/**
+ * Opens the preferences window, or focuses it if it is already open.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function openPreferences(mainWindow) {
+  if (mainWindow.preferencesWin && !mainWindow.preferencesWin.isDestroyed()) {
+    mainWindow.preferencesWin.focus();
+    return;
+  }
+
+  const preferencesWin = new BrowserWindow({
+    parent: mainWindow.win,
+    width: 560,
+    height: 640,
+    minWidth: 480,
+    minHeight: 400,
+    title: "Preferences",
+    backgroundColor: "#202124",
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: path.join(__dirname, "preload-preferences.js"),
+      contextIsolation: true,
+      sandbox: true,
+    },
+  });
+
+  preferencesWin.loadFile(path.join(__dirname, "preferences.html"));
+  preferencesWin.on("closed", () => {
+    mainWindow.preferencesWin = null;
+  });
+  mainWindow.preferencesWin = preferencesWin;
+}
+
+/**
+ * Pushes the current model to the preferences window, if open. Called after
+ * any change, including ones made outside the window (e.g. the sidebar).
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function notifyPreferencesChanged(mainWindow) {
+  const preferencesWin = mainWindow.preferencesWin;
+  if (!preferencesWin || preferencesWin.isDestroyed()) return;
+  preferencesWin.webContents.send(
+    PREFERENCES_CHANNELS.PREFERENCES_CHANGED,
+    getPreferencesModel(mainWindow),
+  );
+}
+
+/**
+ * Registers the IPC handlers backing preload-preferences.js. Messages are
+ * only accepted from the preferences window itself.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function setupPreferencesIpc(mainWindow) {
+  const setters = createPreferenceSetters(mainWindow);
+  const isFromPreferences = (event) =>
+    event.sender === mainWindow.preferencesWin?.webContents;
+
+  ipcMain.removeHandler(PREFERENCES_CHANNELS.GET_PREFERENCES);
+  ipcMain.handle(PREFERENCES_CHANNELS.GET_PREFERENCES, (event) =>
+    isFromPreferences(event) ? getPreferencesModel(mainWindow) : null,
+  );
+
+  ipcMain.on(PREFERENCES_CHANNELS.SET_PREFERENCE, (event, { key, value }) => {
+    if (!isFromPreferences(event)) return;
+    if (!Object.hasOwn(setters, key)) {
+      console.warn(`[Preferences] Ignored unknown preference: ${key}`);
+      return;
+    }
+    setters[key](value);
+    notifyPreferencesChanged(mainWindow);
+  });
+
+  ipcMain.on(PREFERENCES_CHANNELS.RESET_ZOOM, (event, viewId) => {
+    if (!isFromPreferences(event)) return;
+    mainWindow._resetZoom(viewId);
+    notifyPreferencesChanged(mainWindow);
+  });
+
+  ipcMain.on(PREFERENCES_CHANNELS.RESET_WINDOW_BOUNDS, (event) => {
+    if (!isFromPreferences(event)) return;
+    mainWindow._resetWindowBounds();
+  });
+
+  ipcMain.on(PREFERENCES_CHANNELS.OPEN_TASK_MANAGER, (event) => {
+    if (!isFromPreferences(event)) return;
+    mainWindow._openTaskManager();
+  });
+
+  ipcMain.on(
+    PREFERENCES_CHANNELS.CHOOSE_DOWNLOAD_FOLDER,
+    async (event, viewId) => {
+      if (!isFromPreferences(event)) return;
+      const { canceled, filePaths } = await dialog.showOpenDialog(
+        mainWindow.preferencesWin,
+        {
+          title: "Choose Download Folder",
+          defaultPath: mainWindow._getDownloadFolder(viewId),
+          properties: ["openDirectory", "createDirectory"],
+        },
+      );
+      if (canceled || filePaths.length === 0) return;
+      mainWindow._setDownloadFolder(viewId, filePaths[0]);
+      notifyPreferencesChanged(mainWindow);
+    },
+  );
+
+  ipcMain.on(PREFERENCES_CHANNELS.RESET_DOWNLOAD_FOLDER, (event, viewId) => {
+    if (!isFromPreferences(event)) return;
+    mainWindow._setDownloadFolder(viewId, null);
+    notifyPreferencesChanged(mainWindow);
+  });
+
+  ipcMain.on(PREFERENCES_CHANNELS.CHOOSE_PAC_FILE, async (event, group) => {
+    if (!isFromPreferences(event)) return;
+    const { canceled, filePaths } = await dialog.showOpenDialog(
+      mainWindow.preferencesWin,
+      {
+        title: "Choose PAC File",
+        properties: ["openFile"],
+        filters: [
+          { name: "PAC Scripts", extensions: ["pac", "js"] },
+          { name: "All Files", extensions: ["*"] },
+        ],
+      },
+    );
+    if (canceled || filePaths.length === 0) return;
+    mainWindow._setProxySettings(group, {
+      ...mainWindow.proxySettings[group],
+      mode: PROXY_MODES.PAC,
+      pacUrl: pathToFileURL(filePaths[0]).href,
+    });
+    notifyPreferencesChanged(mainWindow);
+  });
+
+  ipcMain.on(PREFERENCES_CHANNELS.CHECK_FOR_UPDATES, (event) => {
+    if (!isFromPreferences(event)) return;
+    mainWindow._checkForUpdates();
+  });
+}
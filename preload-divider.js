@@ -0,0 +1,17 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+const IPC_API_CONTRACT = {
+  sendChannels: ["split-drag-start", "split-drag", "split-drag-end"],
+};
+
+const exposedApi = {
+  send: (channel, data) => {
+    if (IPC_API_CONTRACT.sendChannels.includes(channel)) {
+      ipcRenderer.send(channel, data);
+    } else {
+      console.warn(`[Security] Ignored send: ${channel}`);
+    }
+  },
+};
+
+contextBridge.exposeInMainWorld("dividerAPI", exposedApi);
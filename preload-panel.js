@@ -0,0 +1,53 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+const IPC_API_CONTRACT = {
+  sendChannels: [
+    "close-panel",
+    "open-notification",
+    "mark-all-notifications-read",
+    "clear-notification-history",
+    "execute-palette-item",
+    "pause-download",
+    "resume-download",
+    "cancel-download",
+    "show-download-in-folder",
+    "clear-downloads",
+  ],
+  invokeChannels: [
+    "get-notification-history",
+    "get-palette-items",
+    "get-downloads",
+  ],
+  receiveChannels: ["notification-history-changed", "downloads-changed"],
+};
+
+const exposedApi = {
+  send: (channel, data) => {
+    if (IPC_API_CONTRACT.sendChannels.includes(channel)) {
+      ipcRenderer.send(channel, data);
+    } else {
+      console.warn(`[Security] Ignored send: ${channel}`);
+    }
+  },
+  invoke: (channel, data) => {
+    if (IPC_API_CONTRACT.invokeChannels.includes(channel)) {
+      return ipcRenderer.invoke(channel, data);
+    }
+    console.warn(`[Security] Ignored invoke: ${channel}`);
+    return Promise.resolve(null);
+  },
+  on: (channel, func) => {
+    if (IPC_API_CONTRACT.receiveChannels.includes(channel)) {
+      const subscription = (event, ...args) => func(...args);
+      ipcRenderer.on(channel, subscription);
+      return () => {
+        ipcRenderer.removeListener(channel, subscription);
+      };
+    } else {
+      console.warn(`[Security] Ignored on: ${channel}`);
+      return () => {};
+    }
+  },
+};
+
+contextBridge.exposeInMainWorld("panelAPI", exposedApi);
@@ -0,0 +1,25 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+const IPC_API_CONTRACT = {
+  sendChannels: ["answer-permission-request"],
+  invokeChannels: ["get-permission-request"],
+};
+
+const exposedApi = {
+  send: (channel, data) => {
+    if (IPC_API_CONTRACT.sendChannels.includes(channel)) {
+      ipcRenderer.send(channel, data);
+    } else {
+      console.warn(`[Security] Ignored send: ${channel}`);
+    }
+  },
+  invoke: (channel, data) => {
+    if (IPC_API_CONTRACT.invokeChannels.includes(channel)) {
+      return ipcRenderer.invoke(channel, data);
+    }
+    console.warn(`[Security] Ignored invoke: ${channel}`);
+    return Promise.resolve(null);
+  },
+};
+
+contextBridge.exposeInMainWorld("permissionPromptAPI", exposedApi);
@@ -0,0 +1,47 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+const IPC_API_CONTRACT = {
+  sendChannels: [
+    "set-preference",
+    "reset-zoom",
+    "reset-window-bounds",
+    "open-task-manager",
+    "choose-download-folder",
+    "reset-download-folder",
+    "choose-pac-file",
+    "check-for-updates",
+  ],
+  invokeChannels: ["get-preferences"],
+  receiveChannels: ["preferences-changed"],
+};
+
+const exposedApi = {
+  send: (channel, data) => {
+    if (IPC_API_CONTRACT.sendChannels.includes(channel)) {
+      ipcRenderer.send(channel, data);
+    } else {
+      console.warn(`[Security] Ignored send: ${channel}`);
+    }
+  },
+  invoke: (channel, data) => {
+    if (IPC_API_CONTRACT.invokeChannels.includes(channel)) {
+      return ipcRenderer.invoke(channel, data);
+    }
+    console.warn(`[Security] Ignored invoke: ${channel}`);
+    return Promise.resolve(null);
+  },
+  on: (channel, func) => {
+    if (IPC_API_CONTRACT.receiveChannels.includes(channel)) {
+      const subscription = (event, ...args) => func(...args);
+      ipcRenderer.on(channel, subscription);
+      return () => {
+        ipcRenderer.removeListener(channel, subscription);
+      };
+    } else {
+      console.warn(`[Security] Ignored on: ${channel}`);
+      return () => {};
+    }
+  },
+};
+
+contextBridge.exposeInMainWorld("preferencesAPI", exposedApi);
@@ -0,0 +1,17 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+const IPC_API_CONTRACT = {
+  invokeChannels: ["add-custom-service"],
+};
+
+const exposedApi = {
+  invoke: (channel, data) => {
+    if (IPC_API_CONTRACT.invokeChannels.includes(channel)) {
+      return ipcRenderer.invoke(channel, data);
+    }
+    console.warn(`[Security] Ignored invoke: ${channel}`);
+    return Promise.resolve(null);
+  },
+};
+
+contextBridge.exposeInMainWorld("serviceEditorAPI", exposedApi);
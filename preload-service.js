@@ -0,0 +1,577 @@
+const { ipcRenderer, contextBridge } = require("electron");
+
+// --- Contract Definition ---
+const IPC_CHANNELS = {
+  UPDATE_BADGE: "update-badge",
+  UPDATE_FAVICON: "update-favicon",
+  SHOW_NOTIFICATION: "show-notification",
+};
+
+// The service adapter declared in VIEW_CONFIG, passed by main.js through
+// `additionalArguments` as JSON: { sourceId, origins, badge, favicon,
+// notifications }. The last three name strategies of this file, or are null.
+const ADAPTER_ARGUMENT = "--service-adapter=";
+
+function readAdapter() {
+  const argument = process.argv.find((arg) => arg.startsWith(ADAPTER_ARGUMENT));
+  if (!argument) return null;
+
+  try {
+    return JSON.parse(argument.slice(ADAPTER_ARGUMENT.length));
+  } catch (e) {
+    console.error("[Adapter] Invalid service adapter:", e);
+    return null;
+  }
+}
+
+const adapter = readAdapter();
+
+// Popups and navigations keep the preload; only pages of the service itself
+// are observed, so e.g. a Meet window opened from Calendar reports nothing
+const isServicePage =
+  Array.isArray(adapter?.origins) && adapter.origins.includes(location.origin);
+
+// --- Utilities ---
+// Utility: Debounce function to limit rate of execution
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+/**
+ * Runs a function in the page's main world, where web APIs can be patched.
+ * Unlike an inline script element, this is not blocked by the page's Content
+ * Security Policy (e.g. Gmail's nonces or Proton's 'self').
+ * @param {Function} func - Serialized, so it can only use its arguments.
+ * @param {Array} args - Functions among them stay callable from the main
+ *   world and run here, in the isolated world.
+ */
+function executeInMainWorld(func, args) {
+  try {
+    contextBridge.executeInMainWorld({ func, args });
+  } catch (e) {
+    console.error("[Adapter] Failed to run main world script:", e);
+  }
+}
+
+let lastFaviconUrl = "";
+let lastBadgeCount = -1;
+
+// --- Favicon Strategies ---
+
+/**
+ * Monitors DOM mutations to detect favicon changes.
+ * Sends updated favicon URLs to main process for display in the sidebar menu.
+ */
+function observeFaviconLinks() {
+  const headElement = document.querySelector("head");
+  if (!headElement) return;
+
+  const checkAndSend = () => {
+    const links = Array.from(document.querySelectorAll("link[rel*='icon']"));
+    const currentUrl = links.length > 0 ? links[links.length - 1].href : null;
+
+    if (currentUrl && currentUrl !== lastFaviconUrl) {
+      lastFaviconUrl = currentUrl;
+      ipcRenderer.send(IPC_CHANNELS.UPDATE_FAVICON, {
+        source: adapter.sourceId,
+        faviconUrl: lastFaviconUrl,
+      });
+    }
+  };
+
+  const debouncedCheck = debounce(checkAndSend, 500);
+  const observer = new MutationObserver(debouncedCheck);
+  observer.observe(headElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ["href"],
+  });
+  checkAndSend();
+
+  // Delayed retries for late-loaded favicons
+  setTimeout(checkAndSend, 1500);
+  setTimeout(checkAndSend, 5000);
+}
+
+/**
+ * Shows today's date in the Google Calendar icon, using Google's dynamic
+ * logo CDN. Refreshed hourly to catch the change of day.
+ */
+function showCalendarDateIcon() {
+  const update = () => {
+    const currentDay = new Date().getDate(); // 1-31
+    ipcRenderer.send(IPC_CHANNELS.UPDATE_FAVICON, {
+      source: adapter.sourceId,
+      faviconUrl: `https://ssl.gstatic.com/calendar/images/dynamiclogo_2020q4/calendar_${currentDay}_2x.png`,
+    });
+  };
+
+  update();
+  setInterval(update, 60 * 60 * 1000);
+}
+
+const FAVICON_STRATEGIES = {
+  links: observeFaviconLinks,
+  "calendar-date": showCalendarDateIcon,
+};
+
+// --- Badge Strategies ---
+
+/**
+ * Parses the "(N)" unread pattern from the page title (e.g. "Inbox (3) - Gmail").
+ * @returns {number} The count, or 0 when the title has none.
+ */
+function countFromTitle() {
+  const titleMatch = document.title.match(/\((\d+)\+?\)/);
+  return titleMatch ? parseInt(titleMatch[1], 10) : 0;
+}
+
+/**
+ * Google Chat reports unread DMs and mentions as "(N)" or "N unread" in the
+ * title. When it only swaps the favicon for its notification variant, the
+ * count is unknown, so at least one item is reported.
+ * @returns {number} The unread count.
+ */
+function countChatUnread() {
+  const unreadMatch = document.title.match(/(\d+)\s+unread/i);
+  const count = unreadMatch ? parseInt(unreadMatch[1], 10) : countFromTitle();
+  if (count > 0) return count;
+
+  return /notif|unread|badge/i.test(lastFaviconUrl) ? 1 : 0;
+}
+
+/**
+ * Counts invitations awaiting a response among the events rendered in the
+ * current Calendar range. Event chips expose the RSVP state in their label.
+ * @returns {number} The number of distinct pending invitations.
+ */
+function countPendingInvitations() {
+  const pendingIds = new Set();
+  document.querySelectorAll("[data-eventid]").forEach((chip) => {
+    const label = chip.getAttribute("aria-label") || chip.textContent;
+    if (/needs rsvp|not responded|awaiting response/i.test(label)) {
+      pendingIds.add(chip.dataset.eventid);
+    }
+  });
+  return pendingIds.size;
+}
+
+/**
+ * Counts tasks flagged as overdue in the visible Tasks lists.
+ * @returns {number} The number of overdue tasks.
+ */
+function countOverdueTasks() {
+  return document.querySelectorAll(
+    "[aria-label*='overdue' i], [data-overdue='true']",
+  ).length;
+}
+
+// How a service's unread badge is computed. Head-based strategies watch the
+// title (which SPAs may replace) and favicon links; body-based ones watch
+// the whole page and are debounced more, as they fire constantly.
+const BADGE_STRATEGIES = {
+  title: { target: "head", count: countFromTitle },
+  "chat-title": { target: "head", count: countChatUnread },
+  "calendar-invitations": { target: "body", count: countPendingInvitations },
+  "overdue-tasks": { target: "body", count: countOverdueTasks },
+};
+
+/**
+ * Observes the element used by a badge strategy and sends the computed
+ * count via IPC whenever it changes.
+ * @param {{target: string, count: () => number}} strategy
+ */
+function observeBadge(strategy) {
+  const targetElement = document.querySelector(strategy.target);
+  if (!targetElement) return;
+
+  const checkAndSend = () => {
+    const count = strategy.count();
+    if (count !== lastBadgeCount) {
+      lastBadgeCount = count;
+      ipcRenderer.send(IPC_CHANNELS.UPDATE_BADGE, {
+        count: lastBadgeCount,
+        source: adapter.sourceId,
+      });
+    }
+  };
+
+  const isHead = strategy.target === "head";
+  const observer = new MutationObserver(
+    debounce(checkAndSend, isHead ? 250 : 1000),
+  );
+  observer.observe(targetElement, {
+    childList: true,
+    subtree: true,
+    characterData: isHead,
+    attributes: true,
+    attributeFilter: ["href", "aria-label"],
+  });
+  checkAndSend();
+}
+
+// --- Notification Strategies ---
+
+/**
+ * Hands the page's notifications to `forward` instead of showing them, both
+ * `new Notification()` and service worker `showNotification()`. The app
+ * shows its own notification, subject to the notification settings, Do Not
+ * Disturb and the service's mode. Runs in the main world.
+ * @param {(notification: {title: string, body: string, tag: string,
+ *   data: string}) => void} forward - `data` is the notification's data as
+ *   JSON, or empty when it has none that can be serialized.
+ */
+function patchNotifications(forward) {
+  const report = (title, options) => {
+    let data = "";
+    try {
+      data = JSON.stringify(options?.data ?? null);
+    } catch {
+      // Data that cannot be serialized carries nothing used here
+    }
+    try {
+      forward({
+        title: String(title ?? ""),
+        body: String(options?.body ?? ""),
+        tag: String(options?.tag ?? ""),
+        data,
+      });
+    } catch (e) {
+      console.error("[Adapter] Notification forwarding failed:", e);
+    }
+  };
+
+  const OriginalNotification = window.Notification;
+  if (OriginalNotification) {
+    // Stands in for the native notification, which is never shown
+    window.Notification = function (title, options) {
+      report(title, options);
+      const notification = new EventTarget();
+      Object.assign(notification, {
+        title: String(title ?? ""),
+        body: options?.body || "",
+        tag: options?.tag || "",
+        data: options?.data ?? null,
+        onclick: null,
+        onclose: null,
+        onerror: null,
+        onshow: null,
+        close() {},
+      });
+      return notification;
+    };
+
+    Object.defineProperty(window.Notification, "permission", {
+      get: () => OriginalNotification.permission,
+    });
+    window.Notification.requestPermission =
+      OriginalNotification.requestPermission.bind(OriginalNotification);
+  }
+
+  if (window.ServiceWorkerRegistration) {
+    window.ServiceWorkerRegistration.prototype.showNotification = function (
+      title,
+      options,
+    ) {
+      report(title, options);
+      return Promise.resolve();
+    };
+  }
+}
+
+/**
+ * Shows the page's notifications as the app's own notifications.
+ */
+function interceptNotifications() {
+  executeInMainWorld(patchNotifications, [
+    ({ title, body }) =>
+      ipcRenderer.send(IPC_CHANNELS.SHOW_NOTIFICATION, {
+        title,
+        body,
+        source: adapter.sourceId,
+      }),
+  ]);
+}
+
+// --- Calendar Reminders ---
+// Reminders are detected through two paths: the patched Service Worker
+// notification (preferred, carries the reminder payload) and a DOM fallback
+// triggered by the reminder chime. Both end in showCalendarReminder, which
+// deduplicates by event.
+const REMINDER_DEDUPE_MS = 10 * 60 * 1000;
+const MEET_LINK_PATTERN = /https:\/\/meet\.google\.com\/[a-z0-9-]+/i;
+// "10:00am to 11:00am", "10:00 – 10:30am", "14:00 - 15:00", "10am to 11am".
+// Both ends need minutes or am/pm, so that e.g. dates do not match.
+const TIME_RANGE_PATTERN =
+  /\b\d{1,2}(?::\d{2}\s*(?:am|pm)?|\s*(?:am|pm))\s*(?:to|–|-)\s*\d{1,2}(?::\d{2}\s*(?:am|pm)?|\s*(?:am|pm))/i;
+// Event ids are base32hex; Calendar also gives them as in `eid` URL
+// parameters, base64 of "<event id> <calendar id>"
+const EVENT_ID_PATTERN = /^[a-v0-9_]+$/;
+// Reminders already shown: { eventId, title, startsAt, notifiedAt }
+const notifiedReminders = [];
+
+/**
+ * @param {string|undefined} id - An event id, plain or `eid` encoded.
+ * @returns {string|null} The plain event id.
+ */
+function normalizeEventId(id) {
+  if (!id) return null;
+  if (EVENT_ID_PATTERN.test(id)) return id;
+  try {
+    const [eventId] = atob(id.replace(/-/g, "+").replace(/_/g, "/")).split(" ");
+    return EVENT_ID_PATTERN.test(eventId) ? eventId : id;
+  } catch {
+    return id;
+  }
+}
+
+/**
+ * Tells whether two reminders are for the same event: by event id when both
+ * have one, else by title and start time when both have those. Reminders
+ * lacking both are never taken for another.
+ * @param {{eventId: string|null, title: string, startsAt: number|null}} a
+ * @param {{eventId: string|null, title: string, startsAt: number|null}} b
+ * @returns {boolean}
+ */
+function isSameEvent(a, b) {
+  if (a.eventId && b.eventId) return a.eventId === b.eventId;
+  if (a.startsAt === null || b.startsAt === null) return false;
+  return a.title === b.title && a.startsAt === b.startsAt;
+}
+
+/**
+ * Reports a reminder once per event, see isSameEvent().
+ * @param {{eventId?: string, title: string, time?: string, location?: string,
+ *   meetUrl?: string}} reminder
+ */
+function showCalendarReminder(reminder) {
+  const title = String(reminder?.title || "").trim();
+  if (!title) return;
+
+  const now = Date.now();
+  const expired = notifiedReminders.findLastIndex(
+    (r) => now - r.notifiedAt > REMINDER_DEDUPE_MS,
+  );
+  notifiedReminders.splice(0, expired + 1);
+
+  const key = {
+    eventId: normalizeEventId(reminder.eventId),
+    title: title.toLowerCase().replace(/\s+/g, " "),
+    startsAt: reminder.time
+      ? (parseStartTime(reminder.time, new Date(now))?.getTime() ?? null)
+      : null,
+  };
+  if (notifiedReminders.some((r) => isSameEvent(r, key))) return;
+  notifiedReminders.push({ ...key, notifiedAt: now });
+
+  const details = [reminder.time, reminder.location].filter(Boolean);
+  if (reminder.meetUrl) details.push("Click to join with Google Meet");
+
+  ipcRenderer.send(IPC_CHANNELS.SHOW_NOTIFICATION, {
+    title: `📅 ${title}`,
+    body: details.join(" · "),
+    source: adapter.sourceId,
+    actionUrl: reminder.meetUrl,
+  });
+}
+
+/**
+ * Parses an event chip label such as
+ * "10:00am to 11:00am, Weekly sync, Jane Doe, Accepted, Location: Room 1, March 3, 2025".
+ * @param {string} label - The chip's aria-label or text.
+ * @returns {{title: string, time?: string, location?: string}|null}
+ */
+function parseEventLabel(label) {
+  const parts = label.split(/,\s*/);
+  const timeIndex = parts.findIndex((p) => TIME_RANGE_PATTERN.test(p));
+  if (timeIndex === -1 || !parts[timeIndex + 1]) return null;
+
+  const locationPart = parts.find((p) => /^location:/i.test(p));
+  return {
+    time: parts[timeIndex],
+    title: parts[timeIndex + 1],
+    location: locationPart?.replace(/^location:\s*/i, ""),
+  };
+}
+
+/**
+ * Reads the reminder from the Calendar DOM: the open reminder dialog first,
+ * then the next event starting within the next 15 minutes.
+ * @returns {object|null} A reminder for showCalendarReminder, or null.
+ */
+function findReminderInDom() {
+  const dialog = document.querySelector(
+    "[role='alertdialog'], [role='dialog']",
+  );
+  if (dialog) {
+    const heading = dialog.querySelector("[role='heading'], h1, h2");
+    const meetLink = dialog.querySelector(
+      "a[href^='https://meet.google.com/']",
+    );
+    if (heading?.textContent.trim()) {
+      return {
+        eventId: dialog.querySelector("[data-eventid]")?.dataset.eventid,
+        title: heading.textContent,
+        time: dialog.textContent.match(TIME_RANGE_PATTERN)?.[0],
+        meetUrl: meetLink?.href,
+      };
+    }
+  }
+
+  const now = new Date();
+  const upcoming = [...document.querySelectorAll("[data-eventid]")]
+    .map((chip) => {
+      const parsed = parseEventLabel(
+        chip.getAttribute("aria-label") || chip.textContent,
+      );
+      const startsAt = parsed && parseStartTime(parsed.time, now);
+      return parsed && startsAt
+        ? { ...parsed, eventId: chip.dataset.eventid, startsAt }
+        : null;
+    })
+    .filter((e) => e && e.startsAt - now >= -60 * 1000)
+    .filter((e) => e.startsAt - now <= 15 * 60 * 1000)
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  return upcoming[0] ?? null;
+}
+
+/**
+ * Converts the start of a "10:00am to 11:00am" range into today's Date.
+ * A start without am/pm ("2:00 – 2:30pm") takes the one of the end.
+ * @param {string} time - Text containing a time range, see TIME_RANGE_PATTERN.
+ * @param {Date} now - Reference date.
+ * @returns {Date|null} Null when the text has no valid time range.
+ */
+function parseStartTime(time, now) {
+  const range = time.match(TIME_RANGE_PATTERN)?.[0];
+  if (!range) return null;
+
+  const [start, end] = range.matchAll(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/gi);
+  let hours = parseInt(start[1], 10);
+  const minutes = parseInt(start[2] || "0", 10);
+  const meridiem = (start[3] ?? end?.[3])?.toLowerCase();
+  if (hours > (meridiem ? 12 : 23) || minutes > 59) return null;
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+
+  const startsAt = new Date(now);
+  startsAt.setHours(hours, minutes, 0, 0);
+  return startsAt;
+}
+
+/**
+ * Reads a reminder from one of Google Calendar's notifications: the event id
+ * from its data or else its tag, the time range and location from its body,
+ * the Meet link from its body or data.
+ * @param {{title: string, body: string, tag: string, data: string}}
+ *   notification - As forwarded by patchNotifications().
+ * @returns {object} A reminder for showCalendarReminder.
+ */
+function reminderFromNotification({ title, body, tag, data }) {
+  let payload = null;
+  try {
+    payload = JSON.parse(data || "null");
+  } catch {
+    // No event id in the data then
+  }
+  const dataEventId = [payload?.eventId, payload?.eid].find(
+    (id) => typeof id === "string" && id,
+  );
+
+  const lines = body.split("\n");
+  const time = lines.find((line) => TIME_RANGE_PATTERN.test(line));
+  const meetMatch =
+    data.match(MEET_LINK_PATTERN) || body.match(MEET_LINK_PATTERN);
+  return {
+    eventId: dataEventId || tag || undefined,
+    title,
+    time,
+    location:
+      lines
+        .filter((line) => line !== time)
+        .join(" ")
+        .trim() || undefined,
+    meetUrl: meetMatch ? meetMatch[0] : undefined,
+  };
+}
+
+/**
+ * Shows Google Calendar's notifications as reminders.
+ */
+function interceptCalendarReminders() {
+  executeInMainWorld(patchNotifications, [
+    (notification) =>
+      showCalendarReminder(reminderFromNotification(notification)),
+  ]);
+
+  // Also enable the fallback detector in the Isolated World
+  enableFallbackReminderDetector();
+}
+
+/**
+ * Fallback for reminders that bypass the Service Worker: Calendar plays a
+ * chime when a reminder fires. The title "(N)" indicator is not used, as it
+ * also changes for reasons unrelated to reminders.
+ */
+function enableFallbackReminderDetector() {
+  document.addEventListener(
+    "play",
+    (e) => {
+      if (e.target.tagName !== "AUDIO") return;
+
+      // Give Calendar a moment to render the reminder dialog
+      setTimeout(() => {
+        const reminder = findReminderInDom();
+        if (reminder) {
+          showCalendarReminder(reminder);
+        } else {
+          console.warn("[Calendar] Reminder chime without a matching event");
+        }
+      }, 500);
+    },
+    true,
+  );
+}
+
+const NOTIFICATION_STRATEGIES = {
+  "notification-api": interceptNotifications,
+  "calendar-reminders": interceptCalendarReminders,
+};
+
+/**
+ * @param {object} strategies - One of the strategy registries above.
+ * @param {string|null} name - The strategy named by the adapter.
+ * @returns {*} The strategy, or undefined when the adapter names none.
+ */
+function getStrategy(strategies, name) {
+  if (!name) return undefined;
+  if (!Object.hasOwn(strategies, name)) {
+    console.warn(`[Adapter] Unknown strategy: ${name}`);
+    return undefined;
+  }
+  return strategies[name];
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (!isServicePage) return;
+
+  getStrategy(FAVICON_STRATEGIES, adapter.favicon)?.();
+  const badgeStrategy = getStrategy(BADGE_STRATEGIES, adapter.badge);
+  if (badgeStrategy) observeBadge(badgeStrategy);
+});
+
+// Patched before the page's own scripts run, so none keeps a reference to
+// the native notification APIs
+if (isServicePage) {
+  getStrategy(NOTIFICATION_STRATEGIES, adapter.notifications)?.();
+}
@@ -1,13 +1,22 @@
 const { contextBridge, ipcRenderer } = require("electron");
 
 const IPC_API_CONTRACT = {
-  sendChannels: ["switch-tab", "show-context-menu"],
+  sendChannels: [
+    "switch-tab",
+    "show-context-menu",
+    "show-account-menu",
+    "reorder-services",
+    "toggle-panel",
+    "open-split-view",
+  ],
   receiveChannels: [
     "set-active-tab",
     "update-menu-badges",
     "update-menu-icon",
     "get-enabled-services",
     "set-loading-state",
+    "update-history-badge",
+    "update-download-progress",
   ],
 };
 
@@ -0,0 +1,156 @@
+import { BrowserWindow, ipcMain } from "electron";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PROXY_LOGIN_CHANNELS = {
+  GET_PROXY_LOGIN: "get-proxy-login",
+  SUBMIT_PROXY_LOGIN: "submit-proxy-login",
+  CANCEL_PROXY_LOGIN: "cancel-proxy-login",
+};
+
+/**
+ * Settles a pending login with the credentials entered, or null when it was
+ * cancelled, and closes its window.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @param {string} key - The proxy's "host:port".
+ * @param {{username: string, password: string}|null} credentials
+ */
+function finishProxyLogin(mainWindow, key, credentials) {
+  const login = mainWindow.proxyLogins.get(key);
+  if (!login) return;
+
+  mainWindow.proxyLogins.delete(key);
+  login.resolvers.forEach((resolve) => resolve(credentials));
+  if (!login.win.isDestroyed()) login.win.close();
+}
+
+/**
+ * Asks for the credentials of an authenticating proxy in a modal window.
+ * Requests for the same proxy made while the window is open share it, so a
+ * page loading many resources shows a single prompt. The prompt says the
+ * previous credentials were not accepted when the proxy asks again before
+ * any request it challenged got a response, see confirmProxyLogin().
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @param {Electron.AuthInfo} authInfo - From the app's "login" event.
+ * @param {string} url - The URL of the challenged request.
+ * @returns {Promise<{username: string, password: string}|null>} Null when
+ *   the user cancelled.
+ */
+export async function promptProxyLogin(mainWindow, authInfo, url) {
+  const key = `${authInfo.host}:${authInfo.port}`;
+  const credentials = await waitForProxyLogin(
+    mainWindow,
+    authInfo,
+    mainWindow.proxyLoginAttempts.has(key),
+  );
+
+  if (credentials) {
+    const urls = mainWindow.proxyLoginAttempts.get(key) ?? new Set();
+    mainWindow.proxyLoginAttempts.set(key, urls.add(url));
+  } else {
+    mainWindow.proxyLoginAttempts.delete(key);
+  }
+  return credentials;
+}
+
+/**
+ * Forgets the credentials sent to a proxy once a request it challenged got
+ * a response, as the proxy accepted them.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @param {string} url - The URL of a request that got a response.
+ */
+export function confirmProxyLogin(mainWindow, url) {
+  for (const [key, urls] of mainWindow.proxyLoginAttempts) {
+    if (urls.has(url)) mainWindow.proxyLoginAttempts.delete(key);
+  }
+}
+
+/**
+ * Shows the prompt of promptProxyLogin(), or joins the one already open for
+ * the same proxy.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @param {Electron.AuthInfo} authInfo
+ * @param {boolean} isRetry - True when previous credentials were rejected.
+ * @returns {Promise<{username: string, password: string}|null>}
+ */
+function waitForProxyLogin(mainWindow, authInfo, isRetry) {
+  const key = `${authInfo.host}:${authInfo.port}`;
+  const pending = mainWindow.proxyLogins.get(key);
+  if (pending) {
+    return new Promise((resolve) => pending.resolvers.push(resolve));
+  }
+
+  return new Promise((resolve) => {
+    // A modal of a window hidden in the tray would never be seen
+    const parent = mainWindow.win?.isVisible() ? mainWindow.win : undefined;
+    const win = new BrowserWindow({
+      parent,
+      modal: Boolean(parent),
+      width: 400,
+      height: 300,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      title: "Proxy Authentication",
+      backgroundColor: "#202124",
+      autoHideMenuBar: true,
+      webPreferences: {
+        preload: path.join(__dirname, "preload-proxy-login.js"),
+        contextIsolation: true,
+        sandbox: true,
+      },
+    });
+
+    mainWindow.proxyLogins.set(key, {
+      win,
+      request: {
+        host: authInfo.host,
+        port: authInfo.port,
+        realm: authInfo.realm,
+        isRetry,
+      },
+      resolvers: [resolve],
+    });
+    win.on("closed", () => finishProxyLogin(mainWindow, key, null));
+    win.loadFile(path.join(__dirname, "proxy-login.html"));
+  });
+}
+
+/**
+ * Registers the IPC handlers backing preload-proxy-login.js. Each message is
+ * matched to the login whose window sent it.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function setupProxyLoginIpc(mainWindow) {
+  const findLoginKey = (event) => {
+    for (const [key, login] of mainWindow.proxyLogins) {
+      if (login.win.webContents === event.sender) return key;
+    }
+    return null;
+  };
+
+  ipcMain.removeHandler(PROXY_LOGIN_CHANNELS.GET_PROXY_LOGIN);
+  ipcMain.handle(PROXY_LOGIN_CHANNELS.GET_PROXY_LOGIN, (event) => {
+    const key = findLoginKey(event);
+    return key ? mainWindow.proxyLogins.get(key).request : null;
+  });
+
+  ipcMain.on(
+    PROXY_LOGIN_CHANNELS.SUBMIT_PROXY_LOGIN,
+    (event, { username, password } = {}) => {
+      const key = findLoginKey(event);
+      if (!key) return;
+      finishProxyLogin(mainWindow, key, {
+        username: String(username ?? ""),
+        password: String(password ?? ""),
+      });
+    },
+  );
+
+  ipcMain.on(PROXY_LOGIN_CHANNELS.CANCEL_PROXY_LOGIN, (event) => {
+    const key = findLoginKey(event);
+    if (key) finishProxyLogin(mainWindow, key, null);
+  });
+}
@@ -0,0 +1,67 @@
+export const PROXY_MODES = {
+  NONE: "none", // Direct connections
+  SYSTEM: "system", // The operating system's settings
+  FIXED: "fixed", // Proxy rules, e.g. "proxy.corp:3128"
+  PAC: "pac", // A PAC script, by URL or local file
+};
+
+const VALID_MODES = new Set(Object.values(PROXY_MODES));
+const PAC_PROTOCOLS = new Set(["http:", "https:", "file:"]);
+
+export const DEFAULT_PROXY_SETTINGS = {
+  mode: PROXY_MODES.SYSTEM,
+  rules: "",
+  pacUrl: "",
+  bypass: "",
+};
+
+function isValidPacUrl(value) {
+  try {
+    return PAC_PROTOCOLS.has(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fills in missing fields and drops malformed ones, e.g. from a hand-edited
+ * store or the preferences page.
+ * @param {unknown} settings
+ * @returns {{mode: string, rules: string, pacUrl: string, bypass: string}}
+ */
+export function sanitizeProxySettings(settings) {
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const pacUrl = text(settings?.pacUrl);
+
+  return {
+    mode: VALID_MODES.has(settings?.mode)
+      ? settings.mode
+      : DEFAULT_PROXY_SETTINGS.mode,
+    rules: text(settings?.rules),
+    pacUrl: isValidPacUrl(pacUrl) ? pacUrl : "",
+    bypass: text(settings?.bypass),
+  };
+}
+
+/**
+ * Converts proxy settings to the config expected by `session.setProxy()`.
+ * Fixed or PAC settings missing their rules or script keep the system proxy.
+ * @param {{mode: string, rules: string, pacUrl: string, bypass: string}} settings
+ * @returns {Electron.ProxyConfig}
+ */
+export function toProxyConfig({ mode, rules, pacUrl, bypass }) {
+  // Chromium takes a comma-separated list; users tend to type one per line
+  const proxyBypassRules = bypass
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .join(",");
+
+  if (mode === PROXY_MODES.NONE) return { mode: "direct" };
+  if (mode === PROXY_MODES.FIXED && rules) {
+    return { mode: "fixed_servers", proxyRules: rules, proxyBypassRules };
+  }
+  if (mode === PROXY_MODES.PAC && pacUrl) {
+    return { mode: "pac_script", pacScript: pacUrl, proxyBypassRules };
+  }
+  return { mode: "system" };
+}
@@ -0,0 +1,58 @@
+/**
+ * Checks a URL's origin against origin patterns. A leading "*." matches any
+ * subdomains ("https://*.google.com"), any other "*" a single host label
+ * ("https://accounts.google.*" matches accounts.google.es, but not
+ * accounts.google.example.com).
+ * @param {string} url
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+export function isOriginAllowed(url, patterns) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch {
+    return false;
+  }
+
+  return patterns.some((pattern) => {
+    const source = pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join("*")
+      .replace("://*\\.", "://(?:[^/.]+\\.)+")
+      .replaceAll("*", "[^/.]+");
+    return new RegExp(`^${source}$`, "i").test(origin);
+  });
+}
+
+/**
+ * Returns response headers without what stops a page from being framed:
+ * X-Frame-Options, and the frame-ancestors directive of any
+ * Content-Security-Policy. The rest of the policy is kept.
+ * @param {Record<string, string[]>} headers - As given by webRequest.
+ * @returns {Record<string, string[]>}
+ */
+export function stripFrameBlockingHeaders(headers) {
+  const result = {};
+  Object.entries(headers).forEach(([name, values]) => {
+    const lowerName = name.toLowerCase();
+    if (lowerName === "x-frame-options") return;
+    if (lowerName !== "content-security-policy") {
+      result[name] = values;
+      return;
+    }
+
+    const policies = values
+      .map((policy) =>
+        policy
+          .split(";")
+          .filter((d) => !/^\s*frame-ancestors(\s|$)/i.test(d))
+          .join(";")
+          .trim(),
+      )
+      .filter(Boolean);
+    if (policies.length > 0) result[name] = policies;
+  });
+  return result;
+}
@@ -0,0 +1,157 @@
+const STORE_KEY = "spellcheck";
+
+const DEFAULT_SETTINGS = {
+  // Per session group. Empty lists keep Chromium's default, based on the
+  // system locale
+  languages: { google: [], proton: [] },
+  dictionary: [],
+};
+
+function normalizeWord(word) {
+  return typeof word === "string" ? word.trim() : "";
+}
+
+/**
+ * Persists the spellchecker languages of each session group and a personal
+ * dictionary shared by all sessions, and applies them to every session
+ * attached with `attach()`. The store is the source of truth: sessions only
+ * ever receive the stored words, on attach and on each change.
+ */
+export class SpellChecker {
+  /**
+   * @param {import("electron-store").default} store - The app's electron-store instance.
+   */
+  constructor(store) {
+    this.store = store;
+    const saved = store.get(STORE_KEY, DEFAULT_SETTINGS);
+    this.settings = {
+      languages: { ...DEFAULT_SETTINGS.languages, ...saved.languages },
+      dictionary: Array.isArray(saved.dictionary) ? saved.dictionary : [],
+    };
+    // Attached sessions, mapped to their group and initial languages
+    this.sessions = new Map();
+  }
+
+  /**
+   * Applies the settings to a session. Sessions shared by several views are
+   * only set up once.
+   * @param {Electron.Session} ses
+   * @param {string} group - The session group, "google" or "proton".
+   */
+  attach(ses, group) {
+    if (this.sessions.has(ses)) return;
+
+    this.sessions.set(ses, {
+      group,
+      defaultLanguages: ses.getSpellCheckerLanguages(),
+    });
+    this._applyLanguages(ses);
+    this.settings.dictionary.forEach((word) =>
+      ses.addWordToSpellCheckerDictionary(word),
+    );
+  }
+
+  /**
+   * @returns {string[]} Language codes the spellchecker can use. Empty on
+   *   macOS, where the system spellchecker picks the language.
+   */
+  getAvailableLanguages() {
+    const [ses] = this.sessions.keys();
+    return ses ? [...ses.availableSpellCheckerLanguages].sort() : [];
+  }
+
+  getSettings() {
+    return {
+      languages: {
+        google: [...this.settings.languages.google],
+        proton: [...this.settings.languages.proton],
+      },
+      dictionary: [...this.settings.dictionary],
+    };
+  }
+
+  /**
+   * @param {string} group - The session group, "google" or "proton".
+   * @param {string[]} languages - Language codes, or none for the default.
+   */
+  setLanguages(group, languages) {
+    if (!Object.hasOwn(this.settings.languages, group)) return;
+    if (!Array.isArray(languages)) return;
+
+    const available = new Set(this.getAvailableLanguages());
+    this.settings.languages = {
+      ...this.settings.languages,
+      [group]: [...new Set(languages)].filter((code) => available.has(code)),
+    };
+    this._save();
+
+    this.sessions.forEach((state, ses) => {
+      if (state.group === group) this._applyLanguages(ses);
+    });
+  }
+
+  /**
+   * @param {string} word
+   * @returns {boolean} True when the word was added.
+   */
+  addWord(word) {
+    const normalized = normalizeWord(word);
+    if (!normalized || this.settings.dictionary.includes(normalized)) {
+      return false;
+    }
+
+    this.settings.dictionary = [...this.settings.dictionary, normalized].sort(
+      (a, b) => a.localeCompare(b),
+    );
+    this._save();
+    this.sessions.forEach((state, ses) =>
+      ses.addWordToSpellCheckerDictionary(normalized),
+    );
+    return true;
+  }
+
+  /**
+   * @param {string} word
+   */
+  removeWord(word) {
+    if (!this.settings.dictionary.includes(word)) return;
+
+    this.settings.dictionary = this.settings.dictionary.filter(
+      (w) => w !== word,
+    );
+    this._save();
+    this.sessions.forEach((state, ses) =>
+      ses.removeWordFromSpellCheckerDictionary(word),
+    );
+  }
+
+  /**
+   * Corrects a word of the dictionary.
+   * @param {string} word - The stored word.
+   * @param {string} replacement
+   */
+  replaceWord(word, replacement) {
+    const normalized = normalizeWord(replacement);
+    if (!normalized || normalized === word) return;
+
+    this.removeWord(word);
+    this.addWord(normalized);
+  }
+
+  _applyLanguages(ses) {
+    const { group, defaultLanguages } = this.sessions.get(ses);
+    const languages = this.settings.languages[group];
+    try {
+      ses.setSpellCheckerLanguages(
+        languages.length > 0 ? languages : defaultLanguages,
+      );
+    } catch (error) {
+      // Throws for languages missing from this platform's dictionaries
+      console.error("[Spellcheck] Failed to set languages:", error.message);
+    }
+  }
+
+  _save() {
+    this.store.set(STORE_KEY, this.settings);
+  }
+}
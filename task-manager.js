@@ -0,0 +1,117 @@
+import { app, BrowserWindow, ipcMain } from "electron";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TASK_MANAGER_CHANNELS = {
+  GET_TASKS: "get-tasks",
+  RELOAD_SERVICE: "reload-service",
+  HIBERNATE_SERVICE: "hibernate-service",
+};
+
+/**
+ * Builds the serializable model rendered by task-manager.html: CPU and
+ * memory of each service's renderer process, plus everything else the app
+ * runs (main process, GPU, sidebar...) as a single row. Services of the same
+ * site and session may share a process, which is flagged.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @returns {object} The current tasks.
+ */
+export function getTaskManagerModel(mainWindow) {
+  const metrics = new Map(app.getAppMetrics().map((m) => [m.pid, m]));
+
+  const services = Object.values(mainWindow.viewConfig)
+    .filter((c) => c.isContent && mainWindow.views.has(c.id))
+    .map((config) => ({
+      id: config.id,
+      title: config.title,
+      icon: config.icon,
+      state: mainWindow._getViewState(config.id),
+      pid: mainWindow.views.get(config.id).webContents.getOSProcessId(),
+    }));
+
+  const processUsers = new Map();
+  services.forEach(({ pid }) =>
+    processUsers.set(pid, (processUsers.get(pid) ?? 0) + 1),
+  );
+
+  const toUsage = (metric) => ({
+    cpu: metric?.cpu.percentCPUUsage ?? 0,
+    memory: metric?.memory.workingSetSize ?? 0, // Kilobytes
+  });
+
+  const servicePids = new Set(services.map((s) => s.pid));
+  const other = { cpu: 0, memory: 0 };
+  metrics.forEach((metric, pid) => {
+    if (servicePids.has(pid)) return;
+    const usage = toUsage(metric);
+    other.cpu += usage.cpu;
+    other.memory += usage.memory;
+  });
+
+  return {
+    services: services.map(({ pid, ...service }) => ({
+      ...service,
+      ...toUsage(metrics.get(pid)),
+      sharedProcess: pid > 0 && processUsers.get(pid) > 1,
+    })),
+    other,
+  };
+}
+
+/**
+ * Opens the task manager window, or focuses it if it is already open.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function openTaskManager(mainWindow) {
+  if (mainWindow.taskManagerWin && !mainWindow.taskManagerWin.isDestroyed()) {
+    mainWindow.taskManagerWin.focus();
+    return;
+  }
+
+  const taskManagerWin = new BrowserWindow({
+    parent: mainWindow.win,
+    width: 640,
+    height: 480,
+    minWidth: 480,
+    minHeight: 300,
+    title: "Task Manager",
+    backgroundColor: "#202124",
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: path.join(__dirname, "preload-task-manager.js"),
+      contextIsolation: true,
+      sandbox: true,
+    },
+  });
+
+  taskManagerWin.loadFile(path.join(__dirname, "task-manager.html"));
+  taskManagerWin.on("closed", () => {
+    mainWindow.taskManagerWin = null;
+  });
+  mainWindow.taskManagerWin = taskManagerWin;
+}
+
+/**
+ * Registers the IPC handlers backing preload-task-manager.js. Messages are
+ * only accepted from the task manager window itself.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function setupTaskManagerIpc(mainWindow) {
+  const isFromTaskManager = (event) =>
+    event.sender === mainWindow.taskManagerWin?.webContents;
+
+  ipcMain.removeHandler(TASK_MANAGER_CHANNELS.GET_TASKS);
+  ipcMain.handle(TASK_MANAGER_CHANNELS.GET_TASKS, (event) =>
+    isFromTaskManager(event) ? getTaskManagerModel(mainWindow) : null,
+  );
+
+  ipcMain.on(TASK_MANAGER_CHANNELS.RELOAD_SERVICE, (event, viewId) => {
+    if (isFromTaskManager(event)) mainWindow._reloadView(viewId);
+  });
+
+  ipcMain.on(TASK_MANAGER_CHANNELS.HIBERNATE_SERVICE, (event, viewId) => {
+    if (isFromTaskManager(event)) mainWindow._hibernateView(viewId);
+  });
+}
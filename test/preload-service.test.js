@@ -0,0 +1,184 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PRELOAD_SOURCE = fs.readFileSync(
+  path.join(__dirname, "..", "preload-service.js"),
+  "utf8",
+);
+const ORIGIN = "https://mail.google.com";
+
+/**
+ * A page whose Content Security Policy allows neither inline scripts nor
+ * eval: script elements it is given never run, and its context cannot
+ * compile strings.
+ */
+function createProtectedPage() {
+  class Notification {
+    static permission = "granted";
+    static requestPermission = async () => "granted";
+    constructor() {
+      page.shown += 1;
+    }
+  }
+  class ServiceWorkerRegistration {
+    async showNotification() {
+      page.shown += 1;
+    }
+  }
+  const blockedElement = () => ({ remove() {} });
+  const page = {
+    shown: 0,
+    context: vm.createContext(
+      {
+        Notification,
+        ServiceWorkerRegistration,
+        EventTarget,
+        Promise,
+        JSON,
+        console,
+        document: {
+          createElement: blockedElement,
+          documentElement: { appendChild: () => {} },
+        },
+      },
+      { codeGeneration: { strings: false, wasm: false } },
+    ),
+  };
+  page.context.window = page.context;
+  page.run = (code) => vm.runInContext(code, page.context);
+  return page;
+}
+
+/**
+ * Loads preload-service.js for a service page, with contextBridge running
+ * main world functions in `page` as Electron does: compiled by the app, not
+ * by the page, so its CSP does not apply.
+ * @returns {{page: object, sent: Array<[string, object]>}}
+ */
+function loadPreload(notifications) {
+  const page = createProtectedPage();
+  const sent = [];
+  const electron = {
+    // IPC messages are copied, as they would be between processes
+    ipcRenderer: {
+      send: (channel, payload) =>
+        sent.push([channel, structuredClone(payload)]),
+    },
+    contextBridge: {
+      exposeInMainWorld: () => {},
+      executeInMainWorld: ({ func, args = [] }) =>
+        vm.runInContext(`(${func.toString()})`, page.context)(...args),
+    },
+  };
+  const adapter = {
+    sourceId: "gmail",
+    origins: [ORIGIN],
+    badge: null,
+    favicon: null,
+    notifications,
+  };
+  vm.runInNewContext(PRELOAD_SOURCE, {
+    require: (name) => {
+      assert.equal(name, "electron");
+      return electron;
+    },
+    process: { argv: [`--service-adapter=${JSON.stringify(adapter)}`] },
+    location: { origin: ORIGIN },
+    document: {
+      addEventListener: () => {},
+      createElement: () => {
+        throw new Error("Inline scripts are blocked by the page's CSP");
+      },
+    },
+    console,
+    atob,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    MutationObserver: class {},
+  });
+  return { page, sent };
+}
+
+test("page notifications reach the app despite the page's CSP", () => {
+  const { page, sent } = loadPreload("notification-api");
+
+  page.run(`new Notification("New mail", { body: "Hello" })`);
+
+  assert.equal(page.shown, 0);
+  assert.deepEqual(sent, [
+    [
+      "show-notification",
+      { title: "New mail", body: "Hello", source: "gmail" },
+    ],
+  ]);
+});
+
+test("service worker notifications reach the app despite the page's CSP", async () => {
+  const { page, sent } = loadPreload("notification-api");
+
+  await page.run(
+    `new ServiceWorkerRegistration().showNotification("Chat", { body: "Hi" })`,
+  );
+
+  assert.equal(page.shown, 0);
+  assert.deepEqual(sent, [
+    ["show-notification", { title: "Chat", body: "Hi", source: "gmail" }],
+  ]);
+});
+
+test("calendar notifications become reminders despite the page's CSP", () => {
+  const { page, sent } = loadPreload("calendar-reminders");
+
+  page.run(`new Notification("Weekly sync", {
+    body: "10:00am to 10:30am\\nRoom 1",
+    data: { url: "https://meet.google.com/abc-defg-hij" },
+  })`);
+
+  assert.equal(page.shown, 0);
+  assert.deepEqual(sent, [
+    [
+      "show-notification",
+      {
+        title: "📅 Weekly sync",
+        body: "10:00am to 10:30am · Room 1 · Click to join with Google Meet",
+        source: "gmail",
+        actionUrl: "https://meet.google.com/abc-defg-hij",
+      },
+    ],
+  ]);
+});
+
+test("calendar reminders are shown once per event id", () => {
+  const { page, sent } = loadPreload("calendar-reminders");
+  const eid = Buffer.from("abc123 jane@example.com").toString("base64");
+
+  page.run(`
+    new Notification("Weekly sync", { body: "10:00am to 10:30am", tag: "abc123" });
+    new Notification("Weekly sync", { body: "10:00am to 10:30am", data: { eid: "${eid}" } });
+    new Notification("Weekly sync", { body: "10:00am to 10:30am", tag: "def456" });
+  `);
+
+  assert.equal(sent.length, 2);
+});
+
+test("calendar reminders without an id are matched by title and time only", () => {
+  const { page, sent } = loadPreload("calendar-reminders");
+
+  page.run(`
+    new Notification("Standup", { body: "9:00 - 9:15" });
+    new Notification("standup", { body: "9:00 - 9:15" });
+    new Notification("Standup", { body: "In 5 minutes" });
+    new Notification("Standup", { body: "Room 2025-03-03" });
+  `);
+
+  assert.deepEqual(
+    sent.map(([, payload]) => payload.body),
+    ["9:00 - 9:15", "In 5 minutes", "Room 2025-03-03"],
+  );
+});
@@ -0,0 +1,96 @@
+import { Tray, Menu, nativeImage, app } from "electron";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TRAY_ICONS = {
+  darwin: "assets/icons/png/16x16.png",
+  win32: "assets/icons/win/icon.ico",
+  linux: "assets/icons/png/24x24.png",
+};
+
+/**
+ * Creates the system tray icon and populates it for the first time.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ * @returns {Electron.Tray} The tray instance, to be refreshed with updateTray.
+ */
+export function createTray(mainWindow) {
+  const iconPath = TRAY_ICONS[process.platform] || TRAY_ICONS.linux;
+  const tray = new Tray(
+    nativeImage.createFromPath(path.join(__dirname, iconPath)),
+  );
+
+  // Linux AppIndicators ignore clicks and always open the context menu
+  tray.on("click", () => mainWindow._toggleWindowVisibility());
+
+  updateTray(tray, mainWindow);
+  return tray;
+}
+
+/**
+ * Refreshes the tray tooltip, title and menu from the current unread counts.
+ * Must be called whenever a count or the set of enabled services changes.
+ * @param {Electron.Tray} tray - The tray returned by createTray.
+ * @param {object} mainWindow - The instance of the MainWindow class from main.js.
+ */
+export function updateTray(tray, mainWindow) {
+  if (!tray || tray.isDestroyed()) return;
+
+  const total = mainWindow._getTotalUnreadCount();
+  const unreadSummary = total > 0 ? `${total} unread` : "No unread items";
+  const summary = mainWindow.doNotDisturb.isActive()
+    ? `${unreadSummary} (Do Not Disturb)`
+    : unreadSummary;
+
+  tray.setToolTip(`${app.name} - ${summary}`);
+  if (process.platform === "darwin") {
+    tray.setTitle(total > 0 ? String(total) : "");
+  }
+
+  const services = Object.values(mainWindow.viewConfig)
+    .filter((c) => c.isContent && mainWindow.unreadCounts.has(c.id))
+    .map((config) => {
+      const count = mainWindow.unreadCounts.get(config.id);
+      return {
+        label: count > 0 ? `${config.title} (${count})` : config.title,
+        click: () => {
+          mainWindow._showWindow();
+          mainWindow._switchToTab(config.id);
+        },
+      };
+    });
+
+  const isVisible = mainWindow.win?.isVisible();
+
+  const template = [
+    { label: summary, enabled: false },
+    { type: "separator" },
+    ...services,
+    { type: "separator" },
+    {
+      label: isVisible ? "Hide Window" : "Show Window",
+      // Not the focus-based toggle: opening this menu takes the focus away
+      click: () =>
+        mainWindow.win.isVisible()
+          ? mainWindow.win.hide()
+          : mainWindow._showWindow(),
+    },
+    {
+      label: "Do Not Disturb",
+      type: "checkbox",
+      checked: mainWindow.doNotDisturb.getSettings().enabled,
+      click: (menuItem) => mainWindow._setDoNotDisturb(menuItem.checked),
+    },
+    {
+      label: "Close to Tray",
+      type: "checkbox",
+      checked: mainWindow.closeToTray,
+      click: (menuItem) => mainWindow._setCloseToTray(menuItem.checked),
+    },
+    { type: "separator" },
+    { label: "Quit", click: () => app.quit() },
+  ];
+
+  tray.setContextMenu(Menu.buildFromTemplate(template));
+}